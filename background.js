@@ -1,12 +1,12 @@
 // Background service worker for Missa Kala extension
 
-// Import config (note: in service workers, we need to use importScripts)
-importScripts('config.js');
+// Import config and settings (note: in service workers, we need to use importScripts)
+importScripts('config.js', 'settings.js', 'schedule.js', 'menu-adapters.js', 'extraction-rules.js', 'finnish-inflection.js', 'dish-records.js', 'menu-cache.js', 'menu-history.js', 'chat-webhook.js', 'render-pool.js', 'fetch-strategies.js');
 
-// Listen for messages from popup and offscreen document
+// One-shot message API; the popup streams progress over a port instead (see below)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'checkMenus') {
-    checkAllRestaurantMenus().then(results => {
+    checkAndStoreResults(request.date, { onlyStale: request.onlyStale }).then(results => {
       sendResponse({ results });
     }).catch(error => {
       console.error('Error in checkAllRestaurantMenus:', error);
@@ -16,103 +16,751 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Return true to indicate async response
     return true;
   }
+
+  if (request.action === 'cancelCheck') {
+    const cancelled = cancelActiveCheck();
+    sendResponse({ cancelled });
+    return false;
+  }
+
+  if (request.action === 'postToChat') {
+    postStoredResultsToChat(request.date, { force: request.force }).then(sendResponse).catch(error => {
+      console.error('Error posting to chat:', error);
+      sendResponse({ error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === 'previewRestaurant') {
+    previewRestaurantFromTab(request.tabId).then(sendResponse).catch(error => {
+      console.error('Error previewing restaurant:', error);
+      sendResponse({ error: error.message });
+    });
+    return true;
+  }
 });
 
-async function checkAllRestaurantMenus() {
-  const results = [];
+// Popups follow a running check over a long-lived port named 'menu-check'.
+// Background -> popup events:
+//   { type: 'checkState', running, date, restaurants, stages, results } - sent on connect
+//   { type: 'checkStarted', date, restaurants } - restaurants as { id, name, url }
+//   { type: 'progress', restaurantId, stage }   - 'started', 'fetching', 'rendering', 'retrying', 'done'
+//   { type: 'result', index, result }           - one restaurant finished
+//   { type: 'checkDone', results, cancelled }
+//   { type: 'checkError', error }
+// Popup -> background: { action: 'checkMenus', date, onlyStale } or { action: 'cancelCheck' }
+// date is the 'YYYY-MM-DD' day to check (also accepted by the one-shot
+// 'checkMenus' message) and defaults to today. With onlyStale, restaurants
+// checked earlier the same day are answered from the menu cache.
+const CHECK_PORT_NAME = 'menu-check';
+const checkPorts = new Set();
 
-  // Check each restaurant
-  for (const restaurant of RESTAURANTS) {
-    if (!restaurant.enabled) {
-      continue;
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== CHECK_PORT_NAME) return;
+
+  checkPorts.add(port);
+  port.onDisconnect.addListener(() => checkPorts.delete(port));
+
+  port.onMessage.addListener(message => {
+    if (message.action === 'checkMenus') {
+      checkAndStoreResults(message.date, { onlyStale: message.onlyStale }).catch(error => {
+        console.error('Error in checkAllRestaurantMenus:', error);
+      });
+    } else if (message.action === 'cancelCheck') {
+      cancelActiveCheck();
+    }
+  });
+
+  // A reopened popup reattaches to the running check instead of starting a new one
+  port.postMessage(getCheckState());
+});
+
+function broadcastCheckEvent(event) {
+  for (const port of checkPorts) {
+    try {
+      port.postMessage(event);
+    } catch (error) {
+      checkPorts.delete(port);
+    }
+  }
+}
+
+function getCheckState() {
+  if (!activeCheck) {
+    return { type: 'checkState', running: false };
+  }
+
+  return {
+    type: 'checkState',
+    running: true,
+    date: activeCheck.date,
+    restaurants: activeCheck.restaurants,
+    stages: activeCheck.stages,
+    results: activeCheck.results
+  };
+}
+
+// The check currently running, shared by the popup and the scheduled alarm
+let activeCheck = null;
+
+// Run a full check for one day (a 'YYYY-MM-DD' key, default today) and cache
+// the results for the popup. options.onlyStale skips restaurants whose menu
+// cache entry is still fresh.
+function checkAndStoreResults(dateKey, options = {}) {
+  const targetKey = dateKey || toDateKey(new Date());
+  const targetDate = parseDateKey(targetKey);
+  if (!targetDate) {
+    return Promise.reject(new Error(`Invalid date: ${dateKey}`));
+  }
+
+  if (activeCheck) {
+    if (activeCheck.date === targetKey) {
+      return activeCheck.promise;
+    }
+    // One check at a time: a different day waits for the running check
+    return activeCheck.promise.catch(() => {}).then(() => checkAndStoreResults(targetKey, options));
+  }
+
+  const controller = new AbortController();
+  const check = { controller, promise: null, date: targetKey, restaurants: [], stages: {}, results: [] };
+
+  const progress = {
+    onStart(restaurants) {
+      check.restaurants = restaurants.map(({ id, name, url }) => ({ id, name, url }));
+      broadcastCheckEvent({ type: 'checkStarted', date: targetKey, restaurants: check.restaurants });
+    },
+    onStage(restaurant, stage) {
+      check.stages[restaurant.id] = stage;
+      broadcastCheckEvent({ type: 'progress', restaurantId: restaurant.id, stage });
+    },
+    onResult(index, result) {
+      check.results[index] = result;
+      broadcastCheckEvent({ type: 'result', index, result });
+    }
+  };
+
+  check.promise = (async () => {
+    const results = await checkAllRestaurantMenus(controller.signal, progress, targetDate, options);
+
+    // Keep the previous cache rather than replacing it with a cancelled check
+    if (!controller.signal.aborted) {
+      await chrome.storage.local.set({
+        lastResults: results,
+        lastChecked: new Date().toISOString(),
+        lastTargetDate: targetKey
+      });
+      await storeWeekMenus(results);
+      await recordMenuHistory(targetKey, results);
+      await storeBadgeResults(targetKey, results);
     }
 
-    try {
-      const result = await checkRestaurantMenu(restaurant);
-      results.push(result);
-    } catch (error) {
-      console.error(`Error checking ${restaurant.name}:`, error);
-      results.push({
-        name: restaurant.name,
-        url: restaurant.url,
-        hasFish: false,
-        fishItems: [],
-        error: error.message || 'Failed to fetch menu'
-      });
+    broadcastCheckEvent({ type: 'checkDone', results, cancelled: controller.signal.aborted });
+    return results;
+  })().catch(error => {
+    broadcastCheckEvent({ type: 'checkError', error: error.message });
+    throw error;
+  }).finally(() => {
+    activeCheck = null;
+    refreshBadge();
+  });
+
+  activeCheck = check;
+  refreshBadge();
+  return check.promise;
+}
+
+// Per-date menus for the week view, stored as
+// weekMenus[date][restaurantId] = { dishes }. A restaurant's entry for a date
+// is replaced by each check that found that day; earlier weeks are dropped.
+async function storeWeekMenus(results) {
+  const data = await chrome.storage.local.get('weekMenus');
+  const weekMenus = data.weekMenus || {};
+  const weekStart = toDateKey(getWeekDates()[0]);
+
+  for (const result of results) {
+    for (const day of result.week || []) {
+      weekMenus[day.date] = weekMenus[day.date] || {};
+      weekMenus[day.date][result.id] = { dishes: day.dishes };
     }
   }
 
+  for (const date of Object.keys(weekMenus)) {
+    if (date < weekStart) delete weekMenus[date];
+  }
+
+  await chrome.storage.local.set({ weekMenus });
+}
+
+function cancelActiveCheck() {
+  if (!activeCheck) return false;
+
+  activeCheck.controller.abort(new DOMException('Check cancelled', 'AbortError'));
+  return true;
+}
+
+// Every result carries checkedAt (when its menu was last fetched or revalidated)
+async function checkAllRestaurantMenus(signal, progress = {}, date = new Date(), options = {}) {
+  const restaurants = (await getRestaurants()).filter(restaurant => restaurant.enabled);
+  const checkOptions = await getCheckOptions();
+  const watchlists = await getWatchlists();
+  const onStage = progress.onStage || (() => {});
+  const dateKey = toDateKey(date);
+  const menuCache = await loadMenuCache();
+  const fetchStrategies = await loadFetchStrategies();
+  const watchlistsSignature = getWatchlistsSignature(watchlists);
+  const validatorsById = {};
+
+  if (progress.onStart) progress.onStart(restaurants);
+
+  // Results keep the configured restaurant order even though checks finish in any order
+  const results = await runWithConcurrency(restaurants, checkOptions.concurrency, async (restaurant, index) => {
+    const cacheEntry = getMenuCacheEntry(menuCache, dateKey, restaurant, watchlistsSignature);
+    let result;
+
+    if (options.onlyStale && isFreshCacheEntry(cacheEntry)) {
+      result = cacheEntry.result;
+    } else {
+      onStage(restaurant, 'started');
+      const { validators, ...checked } = await checkRestaurantWithRetries(restaurant, {
+        signal,
+        watchlists,
+        date,
+        cacheEntry,
+        strategy: getFetchStrategy(fetchStrategies, restaurant),
+        onStage: stage => onStage(restaurant, stage)
+      }, checkOptions);
+      validatorsById[restaurant.id] = validators;
+      result = { ...checked, checkedAt: new Date().toISOString() };
+    }
+
+    onStage(restaurant, 'done');
+    if (progress.onResult) progress.onResult(index, result);
+    return result;
+  });
+
+  await saveMenuCacheResults(dateKey, restaurants, results, validatorsById, watchlistsSignature);
+  await saveFetchStrategies(restaurants, results);
   return results;
 }
 
-async function checkRestaurantMenu(restaurant) {
-  try {
-    // First, try regular fetch (fast for static pages)
-    const response = await fetch(restaurant.url, {
-      method: 'GET',
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const html = await response.text();
-
-    // Parse HTML and search for fish keywords (with day detection)
-    const staticResult = findFishInMenu(html);
-
-    // Check if page looks like a SPA
-    const isSPA = looksLikeSPA(html);
-
-    // If we found fish in static HTML and page doesn't look like SPA, return result
-    if (staticResult.fishItems.length > 0 && !isSPA) {
-      return {
-        name: restaurant.name,
-        url: restaurant.url,
-        hasFish: true,
-        fishItems: staticResult.fishItems,
-        confidence: staticResult.confidence,
-        error: null
-      };
-    }
-
-    // If no fish found and page looks like SPA, try JS-rendered extraction
-    if (staticResult.fishItems.length === 0 && isSPA) {
-      console.log(`${restaurant.name} appears to be JS-rendered, using hidden tab extraction`);
-
-      try {
-        const renderedText = await fetchRenderedPageText(restaurant.url);
-        const renderedResult = findFishInText(renderedText);
-
-        return {
-          name: restaurant.name,
-          url: restaurant.url,
-          hasFish: renderedResult.fishItems.length > 0,
-          fishItems: renderedResult.fishItems,
-          confidence: renderedResult.confidence,
-          error: null
-        };
-      } catch (renderError) {
-        console.warn(`Rendered extraction failed for ${restaurant.name}:`, renderError);
-        // Fall back to static result
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Transient failures (network, timeout, HTTP 408/429/5xx) are retried up to
+// checkOptions.retries times with exponential backoff; each attempt gets the full
+// timeout. Results that needed more than one attempt record attempts.
+async function checkRestaurantWithRetries(restaurant, context, checkOptions) {
+  const maxAttempts = 1 + (checkOptions.retries || 0);
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await checkRestaurantWithTimeout(restaurant, context, checkOptions.timeoutSeconds * 1000);
+    const done = !result.error || !isTransientError(result) || attempt >= maxAttempts || context.signal.aborted;
+
+    if (done) {
+      return attempt > 1 ? { ...result, attempts: attempt } : result;
+    }
+
+    context.onStage('retrying');
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    try {
+      await delay(backoff + Math.random() * 250, context.signal);
+    } catch (error) {
+      return { ...buildErrorResult(restaurant, context.signal.reason || error), attempts: attempt };
+    }
+  }
+}
+
+// context: { signal, watchlists, date, cacheEntry, strategy, onStage } shared by every step
+// of one restaurant's check. date is the day whose menu is wanted; cacheEntry is the menu
+// cache entry for that day, used to revalidate the page; strategy is the learned fetch strategy.
+async function checkRestaurantWithTimeout(restaurant, context, timeoutMs) {
+  const parentSignal = context.signal;
+
+  // One controller per restaurant, aborted by its own timeout or by a cancel of the whole check
+  const controller = new AbortController();
+  const timeout = setTimeout(() => {
+    controller.abort(new DOMException(`Timed out after ${timeoutMs / 1000} s`, 'TimeoutError'));
+  }, timeoutMs);
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+
+  if (parentSignal.aborted) {
+    onParentAbort();
+  } else {
+    parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  }
+
+  try {
+    // Not every step (offscreen parsing, script injection) can be aborted,
+    // so stop waiting for the restaurant as soon as the signal fires
+    return await Promise.race([
+      checkRestaurantMenu(restaurant, { ...context, signal: controller.signal }),
+      rejectOnAbort(controller.signal)
+    ]);
+  } catch (error) {
+    const reason = controller.signal.aborted ? controller.signal.reason : error;
+    return buildErrorResult(restaurant, reason);
+  } finally {
+    clearTimeout(timeout);
+    parentSignal.removeEventListener('abort', onParentAbort);
+  }
+}
+
+// errorType is one of 'network', 'http' (with httpStatus), 'timeout', 'permission',
+// 'render', 'empty', 'cancelled' or 'unknown'; the popup words each differently
+function buildErrorResult(restaurant, error) {
+  const errorType = classifyError(error);
+  const result = {
+    id: restaurant.id,
+    name: restaurant.name,
+    url: restaurant.url,
+    hasFish: false,
+    fishItems: [],
+    dishes: [],
+    error: (error && error.message) || 'Failed to fetch menu',
+    errorType
+  };
+
+  if (errorType === 'http') {
+    result.httpStatus = error.status;
+  }
+
+  if (errorType === 'timeout') {
+    result.timedOut = true;
+  } else if (errorType === 'cancelled') {
+    result.cancelled = true;
+  } else {
+    console.error(`Error checking ${restaurant.name}:`, error);
+  }
+
+  return result;
+}
+
+// A failure whose class is known where it happens (type as in buildErrorResult)
+class CheckError extends Error {
+  constructor(type, message, status = null) {
+    super(message);
+    this.name = 'CheckError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+function classifyError(error) {
+  if (!error) return 'unknown';
+  if (error.name === 'TimeoutError') return 'timeout';
+  if (error.name === 'AbortError') return 'cancelled';
+  if (error.name === 'CheckError') return error.type;
+
+  // fetch() rejects with a TypeError when DNS, TLS or the connection fails
+  if (error.name === 'TypeError' && /fetch|network/i.test(error.message)) return 'network';
+
+  return 'unknown';
+}
+
+function isTransientError(result) {
+  if (result.errorType === 'network' || result.errorType === 'timeout') return true;
+  return result.errorType === 'http' &&
+    (result.httpStatus === 408 || result.httpStatus === 429 || result.httpStatus >= 500);
+}
+
+// Without host access the fetch fails like a network error, so ask first
+async function assertHostPermission(url) {
+  const origin = `${new URL(url).origin}/*`;
+  if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+    throw new CheckError('permission', `No permission to read ${new URL(url).hostname}`);
+  }
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, runNext);
+  await Promise.all(workers);
+  return results;
+}
+
+function rejectOnAbort(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+// context.onStage(stage) reports 'fetching' and 'rendering' progress to the popup.
+// context.pageText (the text of an open tab) is matched instead of fetching the page.
+// context.strategy is what worked for the restaurant last time (fetch-strategies.js);
+// restaurant.fetchMode ('api', 'fetch' or 'hidden-tab') overrides it.
+async function checkRestaurantMenu(restaurant, context) {
+  const { signal, watchlists, date = new Date() } = context;
+  const onStage = context.onStage || (() => {});
+
+  if (typeof context.pageText === 'string') {
+    if (!hasReadableText(context.pageText)) {
+      throw new CheckError('empty', 'The page has no readable text');
+    }
+    const week = findWeekMatches(context.pageText, watchlists, date);
+    return buildRestaurantResult(restaurant, findMatchesInText(context.pageText, watchlists, date), week,
+      { mode: 'open-tab', textLength: context.pageText.length });
+  }
+
+  onStage('fetching');
+  await assertHostPermission(restaurant.url);
+
+  const override = restaurant.fetchMode || null;
+  const learned = override ? null : context.strategy || null;
+  const diagnostics = { mode: 'fetch', strategy: override ? 'override' : learned ? 'learned' : 'detected' };
+
+  // Sites with structured menu data skip page scraping, unless reading the page
+  // worked last time or is set for the restaurant
+  const adapter = findMenuAdapter(restaurant);
+  if (override === 'api' && !adapter) {
+    throw new CheckError('unknown', 'No menu API is known for this site');
+  }
+
+  const adapterFirst = Boolean(adapter) && (override === 'api' || (!override && (!learned || learned.mode === 'api')));
+  if (adapterFirst) {
+    try {
+      return await checkRestaurantWithAdapter(restaurant, adapter, context, diagnostics);
+    } catch (adapterError) {
+      if ((signal && signal.aborted) || override) throw adapterError;
+      console.warn(`${adapter.id} adapter failed for ${restaurant.name}, scraping page instead:`, adapterError);
+      diagnostics.adapterError = `${adapter.id}: ${adapterError.message}`;
+    }
+  }
+
+  try {
+    return await checkRestaurantPage(restaurant, context, diagnostics, override, learned);
+  } catch (pageError) {
+    // A learned page mode that stopped working falls back to the menu API
+    if (!adapter || adapterFirst || override || (signal && signal.aborted)) throw pageError;
+    console.warn(`Reading the page failed for ${restaurant.name}, trying the ${adapter.id} adapter:`, pageError);
+    return await checkRestaurantWithAdapter(restaurant, adapter, context, { ...diagnostics, strategy: 'detected' });
+  }
+}
+
+// The menu read from the restaurant's page: rendered right away when that is set
+// or worked last time, otherwise fetched, and also rendered when the HTML reads badly
+async function checkRestaurantPage(restaurant, context, diagnostics, override, learned) {
+  const { signal, watchlists, date = new Date() } = context;
+
+  // Pages that needed rendering last time skip the static fetch
+  if (override === 'hidden-tab' || (learned && learned.mode === 'hidden-tab')) {
+    try {
+      return await checkRenderedPage(restaurant, context, diagnostics);
+    } catch (renderError) {
+      if (signal && signal.aborted) throw renderError;
+      if (override) {
+        throw renderError.name === 'CheckError'
+          ? renderError
+          : new CheckError('render', `Could not render the page: ${renderError.message}`);
       }
+      console.warn(`Rendering failed for ${restaurant.name}, fetching the page instead:`, renderError);
+      diagnostics.renderError = renderError.message;
     }
+  }
+
+  // From here on a learned strategy only applies if it was the static fetch
+  const learnedFetch = learned && learned.mode === 'fetch' ? learned : null;
+  if (learned && !learnedFetch) diagnostics.strategy = 'detected';
+
+  const cacheEntry = context.cacheEntry;
+  const headers = {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  };
+
+  // Revalidate the cached result if the site sent validators last time
+  if (cacheEntry && cacheEntry.etag) headers['If-None-Match'] = cacheEntry.etag;
+  if (cacheEntry && cacheEntry.lastModified) headers['If-Modified-Since'] = cacheEntry.lastModified;
+
+  // First, try regular fetch (fast for static pages)
+  const response = await fetch(restaurant.url, {
+    method: 'GET',
+    signal,
+    headers
+  });
 
-    // Return static result (with confidence indicator)
+  if (response.status === 304 && cacheEntry) {
     return {
-      name: restaurant.name,
-      url: restaurant.url,
-      hasFish: staticResult.fishItems.length > 0,
-      fishItems: staticResult.fishItems,
-      confidence: staticResult.confidence,
-      error: null
+      ...cacheEntry.result,
+      diagnostics: { ...cacheEntry.result.diagnostics, revalidated: true },
+      validators: { etag: cacheEntry.etag, lastModified: cacheEntry.lastModified }
     };
-  } catch (error) {
-    throw error;
   }
+
+  if (!response.ok) {
+    throw new CheckError('http', `HTTP ${response.status}: ${response.statusText}`, response.status);
+  }
+
+  const validators = {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+
+  const html = await response.text();
+  const rules = restaurant.extraction;
+  const parsed = await parseHtmlOffscreen(html, rules, date);
+  const week = findWeekMatches(parsed.text, watchlists, date);
+
+  // Check if page looks like a SPA; a wait-for selector says the menu is rendered by script
+  const isSPA = looksLikeSPA(html);
+  const needsRendering = isSPA || Boolean(restaurant.waitForSelector);
+  const hasText = hasReadableText(parsed.text);
+  diagnostics.looksLikeSPA = isSPA;
+  diagnostics.textLength = parsed.text.length;
+
+  // Restaurant-specific selectors win; the day heuristics are only a fallback
+  if (parsed.section && parsed.section.success) {
+    return {
+      ...buildRestaurantResult(restaurant, findMatchesInRuleSection(parsed.section, watchlists), week, diagnostics),
+      validators
+    };
+  }
+
+  // Search the parsed text for watchlist keywords (with day detection)
+  const staticResult = findMatchesInText(parsed.text, watchlists, date);
+  const staticYield = { confidence: staticResult.confidence.dayDetection, textLength: parsed.text.length };
+
+  // Whether to also render the page in a hidden tab: a learned static fetch only
+  // when the page now reads clearly worse than when it was learned, an app-like page
+  // when the static text has no matches, any other page when the static text is
+  // unreadable or today's section wasn't found for sure (the better read is kept).
+  // Another day that isn't on the page may simply not be published yet.
+  let renderReason = null;
+  if (override === 'fetch') {
+    renderReason = null;
+  } else if (learnedFetch) {
+    const expected = staticResult.dayNotFound ? { ...learnedFetch, confidence: staticYield.confidence } : learnedFetch;
+    if (!hasText || readsBetter(expected, staticYield)) renderReason = 'worse-than-learned';
+  } else if (needsRendering) {
+    if (!hasMatchedDishes(staticResult.dishes)) renderReason = 'looks-like-app';
+  } else if (!hasText || staticYield.confidence === 'low') {
+    renderReason = 'weak-static-text';
+  }
+
+  if (!renderReason) {
+    if (!hasText) {
+      throw new CheckError('empty', 'The page has no readable text');
+    }
+    return { ...buildRestaurantResult(restaurant, staticResult, week, diagnostics), validators };
+  }
+
+  diagnostics.renderReason = renderReason;
+  try {
+    const rendered = await checkRenderedPage(restaurant, context, diagnostics);
+    // Keep the cheaper static fetch unless rendering found more
+    const renderedYield = { confidence: rendered.confidence.dayDetection, textLength: rendered.diagnostics.textLength };
+    const foundMore = hasMatchedDishes(rendered.dishes) && !hasMatchedDishes(staticResult.dishes);
+    if (!hasText || foundMore || readsBetter(renderedYield, staticYield)) {
+      return { ...rendered, validators };
+    }
+  } catch (renderError) {
+    if (signal && signal.aborted) throw renderError;
+    if (renderError.name === 'CheckError' && (renderReason === 'looks-like-app' || !hasText)) throw renderError;
+
+    // An empty app shell has nothing to fall back to
+    if (!hasText) {
+      throw new CheckError('render', `Could not render the page: ${renderError.message}`);
+    }
+    console.warn(`Rendered extraction failed for ${restaurant.name}:`, renderError);
+    diagnostics.renderError = renderError.message;
+  }
+
+  // Return static result (with confidence indicator)
+  return { ...buildRestaurantResult(restaurant, staticResult, week, diagnostics), validators };
+}
+
+// The page as rendered in a hidden tab; throws CheckError('empty') when it has no text
+async function checkRenderedPage(restaurant, context, diagnostics) {
+  const { signal, watchlists, date = new Date() } = context;
+  (context.onStage || (() => {}))('rendering');
+
+  const rendered = await fetchRenderedPage(restaurant, signal, date);
+  if (!hasReadableText(rendered.text)) {
+    throw new CheckError('empty', 'The rendered page has no readable text');
+  }
+
+  const renderedResult = rendered.ruleSection && rendered.ruleSection.success
+    ? findMatchesInRuleSection(rendered.ruleSection, watchlists)
+    : findMatchesInText(rendered.text, watchlists, date);
+
+  const week = findWeekMatches(rendered.text, watchlists, date);
+  return buildRestaurantResult(restaurant, renderedResult, week, {
+    ...diagnostics,
+    mode: 'hidden-tab',
+    renderReady: rendered.ready,
+    textLength: rendered.text.length
+  });
+}
+
+// Longer sections are cut so stored results stay small
+const MAX_DIAGNOSTIC_SECTION_LENGTH = 2000;
+
+// dishes carry the ids of the watchlists they matched; hasFish and fishItems
+// summarize the built-in fish watchlist for notifications and older callers.
+// week holds the matched dishes of every day found on the page: [{ date, dishes }].
+// dayNotFound is set when the page has no section for the requested day.
+// mode is how the menu was read: 'api', 'fetch', 'hidden-tab' or 'open-tab'.
+// diagnostics records how the result was reached, for the popup's "Why this result?" panel:
+//   { mode, strategy: 'detected' | 'learned' | 'override', adapter, looksLikeSPA, textLength,
+//     method, section, renderReason, adapterError, renderError, renderReady, revalidated }
+// Which keyword matched each line is already on the dishes (matchedBy / excludedBy).
+function buildRestaurantResult(restaurant, detection, week = [], diagnostics = {}) {
+  const fishItems = detection.dishes
+    .filter(dish => dish.watchlists.includes(FISH_WATCHLIST.id))
+    .map(dish => dish.text);
+
+  const result = {
+    id: restaurant.id,
+    name: restaurant.name,
+    url: restaurant.url,
+    hasFish: fishItems.length > 0,
+    fishItems,
+    dishes: detection.dishes,
+    week,
+    mode: diagnostics.mode || null,
+    confidence: detection.confidence,
+    diagnostics: {
+      ...diagnostics,
+      method: detection.confidence.method,
+      section: truncateText(detection.section || '', MAX_DIAGNOSTIC_SECTION_LENGTH)
+    },
+    error: null
+  };
+
+  if (detection.dayNotFound) {
+    result.dayNotFound = true;
+  }
+
+  return result;
+}
+
+function findMatchesInRuleSection(ruleSection, watchlists) {
+  return {
+    dishes: matchWatchlists(ruleSection.text, watchlists),
+    section: ruleSection.text,
+    confidence: {
+      dayDetection: 'high',
+      method: ruleSection.method
+    }
+  };
+}
+
+// Parse fetched HTML in the offscreen document (DOMParser isn't available in
+// service workers). Returns block-aware page text and, when the restaurant has
+// extraction rules, the section they matched.
+async function parseHtmlOffscreen(html, rules, date = new Date()) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'parseHtml',
+    html,
+    rules: rules || null,
+    dayTarget: rules ? getRuleDayTarget(rules, date) : null
+  });
+
+  if (!response) {
+    throw new Error('No response from offscreen parser');
+  }
+
+  if (response.error) {
+    throw new Error(`Failed to parse page: ${response.error}`);
+  }
+
+  return response;
+}
+
+let creatingOffscreen = null;
+
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL('offscreen.html');
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+
+  if (contexts.length > 0) return;
+
+  // Only one offscreen document may exist, so share a pending creation
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse restaurant menu HTML into text'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+
+  await creatingOffscreen;
+}
+
+// Day names, date strings and the day and month that identify the target day's heading
+function getRuleDayTarget(rules, date) {
+  const dateTexts = rules.dateFormat
+    ? [formatDateWithPattern(date, rules.dateFormat)]
+    : getDatePatterns(date);
+
+  return {
+    dayNames: DAY_PATTERNS[date.getDay()] || [],
+    dateTexts: dateTexts.map(text => text.toLowerCase()),
+    day: date.getDate(),
+    month: date.getMonth() + 1
+  };
+}
+
+// Supports D, DD, M, MM, YY and YYYY tokens, e.g. 'D.M.' or 'DD/MM/YYYY'
+function formatDateWithPattern(date, pattern) {
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    DD: String(date.getDate()).padStart(2, '0'),
+    D: String(date.getDate()),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    M: String(date.getMonth() + 1)
+  };
+
+  return pattern.replace(/YYYY|YY|DD|D|MM|M/g, token => tokens[token]);
+}
+
+async function checkRestaurantWithAdapter(restaurant, adapter, context, diagnostics = {}) {
+  const date = context.date || new Date();
+  const menu = await adapter.fetchMenu(restaurant, context.signal, date);
+  const dayKey = toDateKey(date);
+  const menuDay = menu.days.find(day => day.date === dayKey);
+
+  // Dish names are already split per day, so no section detection is needed
+  const dishes = menuDay ? matchWatchlists(menuDay.dishes.join('\n'), context.watchlists) : [];
+  const week = menu.days
+    .filter(day => day.date)
+    .map(day => ({ date: day.date, dishes: matchWatchlists(day.dishes.join('\n'), context.watchlists) }));
+
+  const section = menuDay ? menuDay.dishes.join('\n') : '';
+  return buildRestaurantResult(restaurant, {
+    dishes,
+    section,
+    dayNotFound: !menuDay,
+    confidence: {
+      dayDetection: 'high',
+      method: menuDay ? adapter.id : `${adapter.id}-no-menu-for-day`
+    }
+  }, week, { ...diagnostics, mode: 'api', adapter: adapter.id, textLength: section.length });
+}
+
+const MIN_READABLE_TEXT_LENGTH = 50;
+
+function hasReadableText(text) {
+  return Boolean(text) && text.replace(/\s+/g, ' ').trim().length >= MIN_READABLE_TEXT_LENGTH;
 }
 
 // Detect if page is likely a Single Page Application
@@ -135,47 +783,34 @@ function looksLikeSPA(html) {
   return spaIndicators.some(pattern => pattern.test(html));
 }
 
-function findFishInMenu(html) {
-  // Remove HTML tags using regex (since DOMParser isn't available in service workers)
-  let textContent = html
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove script tags and content
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')   // Remove style tags and content
-    .replace(/<br\s*\/?>/gi, '\n')                     // Convert <br> to newlines
-    .replace(/<\/div>/gi, '\n')                        // Convert </div> to newlines
-    .replace(/<\/p>/gi, '\n')                          // Convert </p> to newlines
-    .replace(/<\/h[1-6]>/gi, '\n')                     // Convert header endings to newlines
-    .replace(/<[^>]+>/g, ' ')                          // Remove all HTML tags
-    .replace(/&nbsp;/g, ' ')                           // Replace &nbsp;
-    .replace(/&amp;/g, '&')                            // Replace &amp;
-    .replace(/&lt;/g, '<')                             // Replace &lt;
-    .replace(/&gt;/g, '>')                             // Replace &gt;
-    .replace(/&quot;/g, '"');                          // Replace &quot;
-
-  return findFishInText(textContent);
-}
-
-function findFishInText(textContent) {
-  // Try to extract today's section
-  const todaySection = extractTodaySection(textContent);
-
-  if (todaySection.success) {
-    // Search only today's section
-    const fishItems = searchForFish(todaySection.text);
-    if (fishItems.length > 0) {
+// For today, a missing or empty day section falls back to searching the whole
+// page. Any other day must be found explicitly, otherwise dayNotFound is set.
+function findMatchesInText(textContent, watchlists, date = new Date()) {
+  const isToday = toDateKey(date) === toDateKey(new Date());
+
+  // Try to extract the target day's section
+  const daySection = extractDaySection(textContent, date);
+
+  if (daySection.success) {
+    // Search only the day's section
+    const dishes = matchWatchlists(daySection.text, watchlists);
+    if (hasMatchedDishes(dishes) || !isToday) {
       return {
-        fishItems: fishItems,
+        dishes,
+        section: daySection.text,
         confidence: {
           dayDetection: 'high',
-          method: todaySection.method
+          method: daySection.method
         }
       };
     }
 
     // Fallback: search full page if day detection may have been too strict
-    const fallbackItems = searchForFish(textContent);
-    if (fallbackItems.length > 0) {
+    const fallbackDishes = matchWatchlists(textContent, watchlists);
+    if (hasMatchedDishes(fallbackDishes)) {
       return {
-        fishItems: fallbackItems,
+        dishes: fallbackDishes,
+        section: textContent,
         confidence: {
           dayDetection: 'low',
           method: 'full-page-fallback'
@@ -184,19 +819,32 @@ function findFishInText(textContent) {
     }
 
     return {
-      fishItems: [],
+      dishes,
+      section: daySection.text,
       confidence: {
         dayDetection: 'high',
-        method: todaySection.method
+        method: daySection.method
+      }
+    };
+  }
+
+  if (!isToday) {
+    return {
+      dishes: [],
+      dayNotFound: true,
+      confidence: {
+        dayDetection: 'none',
+        method: 'day-not-found'
       }
     };
   }
 
   // Fallback: search entire page
   console.warn('Could not identify today\'s section, searching entire page');
-  const fishItems = searchForFish(textContent);
+  const dishes = matchWatchlists(textContent, watchlists);
   return {
-    fishItems: fishItems,
+    dishes,
+    section: textContent,
     confidence: {
       dayDetection: 'low',
       method: 'full-page'
@@ -204,49 +852,53 @@ function findFishInText(textContent) {
   };
 }
 
-async function fetchRenderedPageText(url) {
-  let tabId;
+// Renders the page in a pooled tab (see render-pool.js) and reads it once the DOM
+// has settled or restaurant.waitForSelector has appeared. ready records why reading
+// started: { reason: 'selector' | 'settled' | 'timeout', waitedMs, textLength }
+async function fetchRenderedPage(restaurant, signal, date = new Date()) {
+  const rules = restaurant.extraction;
+  const tabId = await acquireRenderTab(signal);
 
   try {
-    const tab = await chrome.tabs.create({ url, active: false });
-    tabId = tab.id;
+    await navigateRenderTab(tabId, restaurant.url, 10000, signal);
 
-    await waitForTabComplete(tabId, 10000);
-    let lastText = '';
-    const attempts = 3;
-
-    for (let attempt = 0; attempt < attempts; attempt++) {
-      await delay(attempt === 0 ? 2000 : 1500);
+    const readiness = chrome.scripting.executeScript({
+      target: { tabId },
+      func: waitForRenderedMenu,
+      args: [{ ...RENDER_READY_OPTIONS, selector: restaurant.waitForSelector || null }]
+    });
+    const readyResults = await (signal ? Promise.race([readiness, rejectOnAbort(signal)]) : readiness);
+    const ready = readyResults?.[0]?.result || null;
 
-      const results = await chrome.scripting.executeScript({
+    let ruleSection = null;
+    if (rules) {
+      const ruleResults = await chrome.scripting.executeScript({
         target: { tabId },
-        func: () => {
-          const body = document.body;
-          return body ? (body.innerText || body.textContent || '') : '';
-        }
+        func: extractMenuByRules,
+        args: [rules, getRuleDayTarget(rules, date)]
       });
 
-      lastText = results?.[0]?.result || '';
-
-      // If we have a reasonable amount of text, stop early.
-      if (lastText && lastText.length >= 300) {
-        return lastText;
+      ruleSection = ruleResults?.[0]?.result || null;
+      if (ruleSection && ruleSection.success) {
+        return { text: ruleSection.text, ruleSection, ready };
       }
     }
 
-    return lastText;
-  } finally {
-    if (tabId !== undefined) {
-      try {
-        await chrome.tabs.remove(tabId);
-      } catch (error) {
-        console.warn('Failed to close hidden tab:', error);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const body = document.body;
+        return body ? (body.innerText || body.textContent || '') : '';
       }
-    }
+    });
+
+    return { text: results?.[0]?.result || '', ruleSection, ready };
+  } finally {
+    await releaseRenderTab(tabId);
   }
 }
 
-function waitForTabComplete(tabId, timeoutMs) {
+function waitForTabComplete(tabId, timeoutMs, signal) {
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       cleanup();
@@ -256,6 +908,7 @@ function waitForTabComplete(tabId, timeoutMs) {
     function cleanup() {
       clearTimeout(timeout);
       chrome.tabs.onUpdated.removeListener(onUpdated);
+      if (signal) signal.removeEventListener('abort', onAbort);
     }
 
     function onUpdated(updatedTabId, info) {
@@ -265,34 +918,69 @@ function waitForTabComplete(tabId, timeoutMs) {
       }
     }
 
+    function onAbort() {
+      cleanup();
+      reject(signal.reason);
+    }
+
+    if (signal && signal.aborted) {
+      onAbort();
+      return;
+    }
+
     chrome.tabs.onUpdated.addListener(onUpdated);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
   });
 }
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
-function extractTodaySection(text) {
-  const today = new Date().getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-
-  // Define day patterns in multiple languages
-  const dayPatterns = {
-    0: ['sunday', 'sunnuntai', 'söndag', 'sonntag', 'su', 'sun'],
-    1: ['monday', 'maanantai', 'måndag', 'montag', 'ma', 'mon'],
-    2: ['tuesday', 'tiistai', 'tisdag', 'dienstag', 'ti', 'tue'],
-    3: ['wednesday', 'keskiviikko', 'onsdag', 'mittwoch', 'ke', 'wed'],
-    4: ['thursday', 'torstai', 'torsdag', 'donnerstag', 'to', 'thu'],
-    5: ['friday', 'perjantai', 'fredag', 'freitag', 'pe', 'fri'],
-    6: ['saturday', 'lauantai', 'lördag', 'samstag', 'la', 'sat']
-  };
-
-  const todayPatterns = dayPatterns[today] || [];
+// Day patterns in multiple languages, keyed by Date.getDay()
+const DAY_PATTERNS = {
+  0: ['sunday', 'sunnuntai', 'söndag', 'sonntag', 'su', 'sun'],
+  1: ['monday', 'maanantai', 'måndag', 'montag', 'ma', 'mon'],
+  2: ['tuesday', 'tiistai', 'tisdag', 'dienstag', 'ti', 'tue'],
+  3: ['wednesday', 'keskiviikko', 'onsdag', 'mittwoch', 'ke', 'wed'],
+  4: ['thursday', 'torstai', 'torsdag', 'donnerstag', 'to', 'thu'],
+  5: ['friday', 'perjantai', 'fredag', 'freitag', 'pe', 'fri'],
+  6: ['saturday', 'lauantai', 'lördag', 'samstag', 'la', 'sat']
+};
+
+// Find the section of the page for one day (default today). For today, nearby
+// dates and a lone day heading of another day are accepted too (the site may
+// be in another time zone); for any other day only its own name or date counts.
+// A day name followed by a date ("Perjantai 23.10.") only counts on that date,
+// so a page still showing another week has no section for the day.
+function extractDaySection(text, date = new Date()) {
+  const targetDay = date.getDay(); // 0=Sun, 1=Mon, ..., 6=Sat
+  const isToday = toDateKey(date) === toDateKey(new Date());
+  const dayPatterns = DAY_PATTERNS;
+
+  const todayPatterns = dayPatterns[targetDay] || [];
   const allDayPatterns = Object.values(dayPatterns).flat();
+  const otherDayPatterns = allDayPatterns.filter(pattern => !todayPatterns.includes(pattern));
 
   // Also try date-based matching
-  const todayDate = new Date();
-  const datePatterns = getDatePatternsForWindow(todayDate, 1);
+  const datePatterns = getDatePatternsForWindow(date, isToday ? 1 : 0);
 
   const lines = text.split('\n').map(l => l.trim());
 
@@ -300,12 +988,14 @@ function extractTodaySection(text) {
   for (let i = 0; i < lines.length; i++) {
     const lowerLine = lines[i].toLowerCase();
 
-    // Check if line contains today's day
+    // Check if line contains today's day, but no other day ("ma–pe 10.30–14" is
+    // opening hours) and no other date
     if (todayPatterns.some(pattern =>
         lineHasDayPattern(lowerLine, pattern) &&
         !lowerLine.includes('tomorrow') &&
         !lowerLine.includes('next')
-    )) {
+    ) && !otherDayPatterns.some(pattern => lineHasDayPattern(lowerLine, pattern)) &&
+        !lineHasOtherDate(lowerLine, date)) {
       // Found today's marker, extract content until next day
       let sectionLines = [lines[i]];
       let endIndex = i + 1;
@@ -313,11 +1003,12 @@ function extractTodaySection(text) {
       for (let j = i + 1; j < lines.length && endIndex - i < 30; j++) {
         const nextLine = lines[j].toLowerCase();
 
-        // Stop if we hit another day marker (that's not today)
+        // Stop if we hit another day marker (that's not today), or the same
+        // day of another week
         const isOtherDay = allDayPatterns.some(pattern =>
           lineHasDayPattern(nextLine, pattern) &&
           !todayPatterns.some(tp => lineHasDayPattern(nextLine, tp))
-        );
+        ) || (todayPatterns.some(tp => lineHasDayPattern(nextLine, tp)) && lineHasOtherDate(nextLine, date));
 
         if (isOtherDay) {
           break;
@@ -352,8 +1043,8 @@ function extractTodaySection(text) {
   }
 
   // Strategy 3: Find any single-day header (useful for timezone differences)
-  const singleDayHeader = findSingleDayHeader(lines, dayPatterns);
-  if (singleDayHeader) {
+  const singleDayHeader = isToday ? findSingleDayHeader(lines, dayPatterns) : null;
+  if (singleDayHeader && !lineHasOtherDate(lines[singleDayHeader.lineIndex].toLowerCase(), date, 1)) {
     const section = extractSectionFromLineIndex(
       lines,
       singleDayHeader.lineIndex,
@@ -368,9 +1059,16 @@ function extractTodaySection(text) {
     };
   }
 
-  // Strategy 4: Find today by day name in full text (inline header)
+  // Strategy 4: Find today by day name in full text (inline header), skipping
+  // day ranges ("ma–pe") and names whose line gives another date
   const lowerText = text.toLowerCase();
-  const dayIndex = findDayPatternIndex(lowerText, todayPatterns);
+  let dayIndex = findDayPatternIndex(lowerText, todayPatterns);
+  while (dayIndex !== -1) {
+    const lineEnd = lowerText.indexOf('\n', dayIndex);
+    const restOfLine = lowerText.slice(dayIndex, lineEnd === -1 ? undefined : lineEnd);
+    if (!isInDayRange(lowerText, dayIndex, allDayPatterns) && !lineHasOtherDate(restOfLine, date)) break;
+    dayIndex = findDayPatternIndex(lowerText, todayPatterns, dayIndex + 1);
+  }
   if (dayIndex !== -1) {
     const sectionStart = Math.max(0, dayIndex - 50);
     const sectionEnd = Math.min(text.length, dayIndex + 800);
@@ -382,7 +1080,7 @@ function extractTodaySection(text) {
     };
   }
 
-  // Could not identify today's section
+  // Could not identify the day's section
   return {
     success: false,
     text: text,
@@ -390,6 +1088,144 @@ function extractTodaySection(text) {
   };
 }
 
+const MAX_DAY_SECTION_LINES = 30;
+
+// Split a whole-week page into per-day sections with the same day names and
+// date formats used for today. Returns [{ date: 'YYYY-MM-DD', text }] for the
+// days of this week that have a heading; a day whose heading appears twice
+// (e.g. Finnish and English menus) collects both parts. Days of another week
+// (a page already showing next week's menu) are left out.
+function extractWeekSections(text, date = new Date()) {
+  const weekDates = getWeekDates(date);
+  const weekKeys = weekDates.map(toDateKey);
+  const sections = [];
+  let current = null;
+
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const headingDate = getDayHeadingDate(line.toLowerCase(), weekDates);
+
+    if (headingDate && !weekKeys.includes(headingDate)) {
+      current = null;
+      continue;
+    }
+
+    if (headingDate) {
+      current = sections.find(section => section.date === headingDate);
+      if (!current) {
+        current = { date: headingDate, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(line);
+      continue;
+    }
+
+    if (current && current.lines.length < MAX_DAY_SECTION_LINES) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections
+    .map(section => ({ date: section.date, text: section.lines.join('\n') }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function findWeekMatches(textContent, watchlists, date = new Date()) {
+  return extractWeekSections(textContent, date).map(section => ({
+    date: section.date,
+    dishes: matchWatchlists(section.text, watchlists)
+  }));
+}
+
+// The date key a line is a day heading for, or null. A heading starts with
+// one day name ("Tiistai 14.10.", "Ti 14.10.") or carries one of this week's
+// dates. Lines naming several days ("ma-pe 10.30-14") are opening hours.
+// A day name is for that weekday of this week unless the heading gives its
+// own date, which may be in another week.
+function getDayHeadingDate(lowerLine, weekDates) {
+  if (lowerLine.length > 60) return null;
+
+  const start = lowerLine.replace(/^[^\p{L}\p{N}]+/u, '');
+  const headingDays = new Set();
+  const mentionedDays = new Set();
+
+  for (const [dayIndexStr, patterns] of Object.entries(DAY_PATTERNS)) {
+    const dayIndex = Number(dayIndexStr);
+    if (patterns.some(pattern => lineHasDayPattern(lowerLine, pattern))) {
+      mentionedDays.add(dayIndex);
+    }
+    if (patterns.some(pattern => startsWithDayPattern(start, pattern))) {
+      headingDays.add(dayIndex);
+    }
+  }
+
+  if (headingDays.size === 1 && mentionedDays.size === 1) {
+    const [dayIndex] = headingDays;
+    const weekDay = weekDates.find(day => day.getDay() === dayIndex);
+    const [givenDate] = findLineDates(lowerLine, weekDay);
+    return toDateKey(givenDate || weekDay);
+  }
+
+  if (mentionedDays.size > 1) return null;
+
+  const dated = weekDates.find(day => getDatePatterns(day).some(pattern => lineHasDate(lowerLine, pattern)));
+  return dated ? toDateKey(dated) : null;
+}
+
+// Short names ("ti", "la", "to") only count when nothing but a date follows,
+// so "La Famiglia pizza" and "To go salad" aren't headings
+function startsWithDayPattern(start, pattern) {
+  if (!start.startsWith(pattern)) return false;
+
+  const rest = start.slice(pattern.length);
+  if (/^\p{L}/u.test(rest)) return false;
+  if (pattern.length > 3) return true;
+
+  return /^\.?\s*(\d{1,2}[./]\d{1,2}\.?(\d{2,4})?)?\s*:?$/.test(rest);
+}
+
+function lineHasDate(line, datePattern) {
+  return new RegExp(`(^|[^\\d])${escapeRegExp(datePattern)}($|[^\\d])`).test(line);
+}
+
+// Calendar dates written in a line: "23.10.", "23.10.2026", "23/10" or "2026-10-23".
+// A date without a year gets the year that puts it closest to near. Times
+// ("10.30") and prices ("11.90") aren't real dates and are skipped.
+function findLineDates(line, near) {
+  const dates = [];
+  const addDate = (year, month, day) => {
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() === month - 1 && date.getDate() === day) dates.push(date);
+  };
+
+  for (const match of line.matchAll(/(?<!\d)(\d{4})-(\d{1,2})-(\d{1,2})(?!\d)/g)) {
+    addDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  for (const match of line.matchAll(/(?<![\d./])(\d{1,2})[./](\d{1,2})(?:[./](\d{4}|\d{2})(?!\d))?(?!\d)/g)) {
+    const day = Number(match[1]);
+    const month = Number(match[2]);
+    if (match[3]) {
+      addDate(Number(match[3]) + (match[3].length === 2 ? 2000 : 0), month, day);
+      continue;
+    }
+
+    const years = [near.getFullYear() - 1, near.getFullYear(), near.getFullYear() + 1];
+    const distance = year => Math.abs(new Date(year, month - 1, day) - near);
+    addDate(years.reduce((best, year) => distance(year) < distance(best) ? year : best), month, day);
+  }
+
+  return dates;
+}
+
+// Whether the line gives a date and none of its dates is within windowDays of date
+function lineHasOtherDate(line, date, windowDays = 0) {
+  const dates = findLineDates(line, date);
+  const target = new Date(date);
+  target.setHours(0, 0, 0, 0);
+  return dates.length > 0 &&
+    !dates.some(lineDate => Math.abs(Math.round((lineDate - target) / 86400000)) <= windowDays);
+}
+
 function getDatePatterns(date) {
   const day = date.getDate();
   const month = date.getMonth() + 1;
@@ -427,10 +1263,21 @@ function getDatePatternsForWindow(date, windowDays) {
   return Array.from(patterns);
 }
 
-function searchForFish(text) {
-  const fishItems = [];
-  const englishItems = [];
-  const finnishItems = [];
+const MAX_DISHES_PER_WATCHLIST = 5;
+const MAX_EXCLUDED_DISHES = 5;
+
+// Tag each menu line with the watchlists whose keywords it contains.
+// Returns dishes as { text, name, description, diets, price, watchlists, language,
+// matchedBy, excludedBy }: name, description, diets and price come from
+// parseDishLine (dish-records.js) and text is the cleaned line itself;
+// matchedBy maps watchlist id -> keyword that matched, excludedBy maps
+// watchlist id -> exclusion phrase or negative keyword that cancelled a match.
+// Lines whose only matches were excluded are kept (with empty watchlists) so
+// the reason is visible; use hasMatchedDishes() to ask "found anything?".
+function matchWatchlists(text, watchlists) {
+  const dishes = [];
+  const counts = {};
+  let excludedCount = 0;
   const lines = text.split('\n');
 
   for (const line of lines) {
@@ -440,38 +1287,149 @@ function searchForFish(text) {
     if (trimmedLine.length < 5) continue;
     if (isAddressLikeLine(trimmedLine)) continue;
 
-    // Check if line contains any fish keyword
     const lowerLine = trimmedLine.toLowerCase();
-    const foundKeywords = FISH_KEYWORDS.filter(keyword =>
-      lowerLine.includes(keyword.toLowerCase())
-    );
+    const matched = [];
+    const matchedBy = {};
+    const excludedBy = {};
+    let language = 'unknown';
 
-    if (foundKeywords.length > 0) {
-      // Clean up the line and add it if it's not already added
-      const cleanLine = trimmedLine
-        .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-        .substring(0, 200);     // Limit length
-
-      if (!fishItems.includes(cleanLine)) {
-        fishItems.push(cleanLine);
-        const language = detectLineLanguage(lowerLine);
-        if (language === 'en') {
-          englishItems.push(cleanLine);
-        } else if (language === 'fi') {
-          finnishItems.push(cleanLine);
-        }
+    for (const watchlist of watchlists) {
+      // Limit to max 5 items per watchlist and restaurant
+      if ((counts[watchlist.id] || 0) >= MAX_DISHES_PER_WATCHLIST) continue;
+
+      const match = matchWatchlistLine(lowerLine, watchlist);
+      if (!match) continue;
+
+      if (match.excludedBy) {
+        excludedBy[watchlist.id] = match.excludedBy;
+        continue;
       }
 
-      // Limit to max 5 items per restaurant
-      if (fishItems.length >= 5) break;
+      matched.push(watchlist.id);
+      matchedBy[watchlist.id] = match.keyword;
+      if (language === 'unknown' || match.language === 'en') {
+        language = match.language;
+      }
     }
+
+    if (matched.length === 0) {
+      if (Object.keys(excludedBy).length === 0 || excludedCount >= MAX_EXCLUDED_DISHES) continue;
+      excludedCount++;
+    }
+
+    // Clean up the line and add it if it's not already added
+    const cleanLine = trimmedLine
+      .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
+      .substring(0, 200);     // Limit length
+
+    if (dishes.some(dish => dish.text === cleanLine)) continue;
+
+    matched.forEach(id => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+    dishes.push({
+      text: cleanLine,
+      ...parseDishLine(trimmedLine),
+      watchlists: matched,
+      language,
+      matchedBy,
+      excludedBy
+    });
   }
 
-  if (englishItems.length > 0) {
-    return englishItems;
+  return preferEnglishDishes(dishes);
+}
+
+function hasMatchedDishes(dishes) {
+  return dishes.some(dish => dish.watchlists.length > 0);
+}
+
+// Bilingual menus list each dish twice. When a watchlist matched English
+// lines, drop its matches on the other-language duplicates.
+function preferEnglishDishes(dishes) {
+  const watchlistsWithEnglish = new Set();
+  dishes
+    .filter(dish => dish.language === 'en')
+    .forEach(dish => dish.watchlists.forEach(id => watchlistsWithEnglish.add(id)));
+
+  return dishes
+    .map(dish => {
+      if (dish.language === 'en' || dish.watchlists.length === 0) return dish;
+
+      const kept = dish.watchlists.filter(id => !watchlistsWithEnglish.has(id));
+      if (kept.length === 0) return null;
+
+      const matchedBy = {};
+      kept.forEach(id => {
+        matchedBy[id] = dish.matchedBy[id];
+      });
+      return { ...dish, watchlists: kept, matchedBy };
+    })
+    .filter(Boolean);
+}
+
+// Returns { keyword, language } for a match, { excludedBy } when an exclusion
+// cancelled it, or null when no keyword is present at all
+function matchWatchlistLine(lowerLine, watchlist) {
+  const exclusions = watchlist.exclusions || {};
+  const phrases = (exclusions.phrases || []).map(phrase => phrase.toLowerCase());
+  const negatives = (exclusions.negatives || []).map(negative => negative.toLowerCase());
+  const wholeWords = (watchlist.wholeWords || []).map(word => word.toLowerCase());
+
+  // Keywords inside exclusion phrases ("kala" in "kalakastike") don't count
+  const maskedLine = maskPhrases(lowerLine, phrases);
+  const match = findKeywordMatch(maskedLine, watchlist.keywords, wholeWords);
+
+  if (!match) {
+    if (maskedLine !== lowerLine && findKeywordMatch(lowerLine, watchlist.keywords, wholeWords)) {
+      return { excludedBy: phrases.find(phrase => lowerLine.includes(phrase)) };
+    }
+    return null;
+  }
+
+  const negative = negatives.find(term => lowerLine.includes(term));
+  if (negative) {
+    return { excludedBy: negative };
+  }
+
+  return match;
+}
+
+// First keyword found, English keywords first
+function findKeywordMatch(line, keywordsByLanguage, wholeWords) {
+  const languages = Object.keys(keywordsByLanguage || {})
+    .sort((a, b) => (a === 'en' ? -1 : b === 'en' ? 1 : 0));
+
+  for (const language of languages) {
+    for (const keyword of keywordsByLanguage[language] || []) {
+      const term = keyword.toLowerCase();
+      const found = language === 'fi' && hasFinnishInflections(term)
+        ? lineHasFinnishWord(line, term)
+        : lineHasTerm(line, term, wholeWords.includes(term));
+
+      if (found) {
+        return { keyword: term, language };
+      }
+    }
   }
 
-  return fishItems;
+  return null;
+}
+
+function lineHasTerm(line, term, wholeWord) {
+  if (!wholeWord) {
+    return line.includes(term);
+  }
+
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u').test(line);
+}
+
+// Blank out phrases but keep string length, so nothing else shifts
+function maskPhrases(line, phrases) {
+  return phrases.reduce(
+    (masked, phrase) => (phrase ? masked.split(phrase).join(' '.repeat(phrase.length)) : masked),
+    line
+  );
 }
 
 function lineHasDayPattern(line, pattern) {
@@ -483,14 +1441,15 @@ function lineHasDayPattern(line, pattern) {
   return line.includes(pattern);
 }
 
-function findDayPatternIndex(text, patterns) {
+function findDayPatternIndex(text, patterns, fromIndex = 0) {
   let earliest = -1;
 
   for (const pattern of patterns) {
     const regex = pattern.length <= 3
-      ? new RegExp(`\\b${escapeRegExp(pattern)}\\.?\\b`)
-      : new RegExp(`\\b${escapeRegExp(pattern)}\\b`);
+      ? new RegExp(`\\b${escapeRegExp(pattern)}\\.?\\b`, 'g')
+      : new RegExp(`\\b${escapeRegExp(pattern)}\\b`, 'g');
 
+    regex.lastIndex = fromIndex;
     const match = regex.exec(text);
     if (match) {
       if (earliest === -1 || match.index < earliest) {
@@ -502,6 +1461,13 @@ function findDayPatternIndex(text, patterns) {
   return earliest;
 }
 
+// Whether the day name at index is one end of a range like "ma–pe" or "mon - fri"
+function isInDayRange(text, index, allDayPatterns) {
+  const before = /(\p{L}+)\.?\s*[–-]\s*$/u.exec(text.slice(Math.max(0, index - 20), index));
+  const after = /^\p{L}+\.?\s*[–-]\s*(\p{L}+)/u.exec(text.slice(index, index + 40));
+  return Boolean((before && allDayPatterns.includes(before[1])) || (after && allDayPatterns.includes(after[1])));
+}
+
 function findSingleDayHeader(lines, dayPatterns) {
   const foundDays = new Set();
   let firstLineIndex = -1;
@@ -556,19 +1522,6 @@ function escapeRegExp(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function detectLineLanguage(lowerLine) {
-  const hasEnglish = containsKeyword(lowerLine, ENGLISH_FISH_KEYWORDS);
-  const hasFinnish = containsKeyword(lowerLine, FINNISH_FISH_KEYWORDS);
-
-  if (hasEnglish) return 'en';
-  if (hasFinnish) return 'fi';
-  return 'unknown';
-}
-
-function containsKeyword(line, keywords) {
-  return keywords.some(keyword => line.includes(keyword));
-}
-
 function isAddressLikeLine(line) {
   const lowerLine = line.toLowerCase();
   const hasFinnishStreet = /(katu|tie|kuja|polku|bulevardi|väylä)/.test(lowerLine);
@@ -579,45 +1532,328 @@ function isAddressLikeLine(line) {
   return ((hasFinnishStreet || hasOtherStreet) && hasNumber) || hasPostalCode;
 }
 
-const ENGLISH_FISH_KEYWORDS = [
-  'fish', 'salmon', 'cod', 'tuna', 'trout', 'halibut', 'haddock', 'mackerel',
-  'sea bass', 'sea bream', 'sardine', 'herring', 'tilapia', 'catfish',
-  'seafood', 'fillet', 'grilled fish', 'baked fish', 'fried fish'
-];
+// Scheduled checks
+const SCHEDULE_ALARM = 'checkMenus';
+const FISH_NOTIFICATION_PREFIX = 'missa-kala-';
 
-const FINNISH_FISH_KEYWORDS = [
-  'kala', 'lohi', 'turska', 'tonnikala', 'taimen', 'ahven', 'kuha', 'siika',
-  'silakka', 'silakkapihvi', 'kalaruoka', 'kalaviikko'
-];
-
-// Optional: Set up alarm to check menus periodically
-// Uncomment if you want automatic checking at a specific time
-/*
-chrome.alarms.create('checkMenus', {
-  when: Date.now() + 1000,
-  periodInMinutes: 60  // Check every hour
+chrome.runtime.onInstalled.addListener(() => {
+  scheduleNextCheck();
+  refreshBadge();
+  createContextMenus();
 });
 
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'checkMenus') {
-    checkAllRestaurantMenus().then(results => {
-      // Store results or send notification
-      chrome.storage.local.set({
-        lastResults: results,
-        lastChecked: new Date().toISOString()
-      });
+chrome.runtime.onStartup.addListener(() => {
+  scheduleNextCheck();
+  refreshBadge();
+});
 
-      // Optional: Show notification if fish found
-      const restaurantsWithFish = results.filter(r => r.hasFish);
-      if (restaurantsWithFish.length > 0) {
-        chrome.notifications.create({
-          type: 'basic',
-          iconUrl: 'icons/icon48.png',
-          title: 'Missa Kala - Fish Found!',
-          message: `${restaurantsWithFish.length} restaurant(s) have fish today!`
-        });
-      }
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.schedule) {
+    scheduleNextCheck();
+  }
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    runScheduledCheck();
+  } else if (alarm.name === BADGE_MIDNIGHT_ALARM) {
+    refreshBadge();
+  }
+});
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  if (notificationId.startsWith(FISH_NOTIFICATION_PREFIX)) {
+    openNotificationTarget(notificationId);
+  }
+});
+
+async function scheduleNextCheck() {
+  try {
+    const schedule = await getSchedule();
+    const nextTime = getNextScheduledTime(schedule);
+
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+    if (nextTime) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: nextTime.getTime() });
+    }
+  } catch (error) {
+    console.error('Error scheduling menu check:', error);
+  }
+}
+
+async function runScheduledCheck() {
+  try {
+    const schedule = await getSchedule();
+
+    // The alarm may fire late (e.g. after sleep), so re-check the day
+    if (schedule.enabled && isScheduledDay(schedule, new Date())) {
+      const results = await checkAndStoreResults();
+      await showResultsNotification(results, schedule);
+      await postScheduledChatSummary(results);
+    }
+  } catch (error) {
+    console.error('Error in scheduled menu check:', error);
+  } finally {
+    scheduleNextCheck();
+  }
+}
+
+// Only fish dishes that fit the user's diet profile count
+async function showResultsNotification(results, schedule) {
+  const dietProfile = await getDietProfile();
+  const restaurantsWithFish = results
+    .map(r => ({ ...r, fishItems: getFittingFishItems(r, dietProfile) }))
+    .filter(r => r.fishItems.length > 0);
+
+  if (restaurantsWithFish.length === 0 && !schedule.notifyWhenNoFish) {
+    return;
+  }
+
+  const notificationId = `${FISH_NOTIFICATION_PREFIX}${toDateKey(new Date())}`;
+
+  if (restaurantsWithFish.length === 0) {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'Missa Kala - No fish today',
+      message: 'None of your restaurants have fish on today\'s menu.'
+    });
+    return;
+  }
+
+  const lines = restaurantsWithFish.map(r => {
+    const dishes = r.fishItems.slice(0, 2).join(', ');
+    return dishes ? `${r.name}: ${dishes}` : r.name;
+  });
+
+  await chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: `Missa Kala - Fish at ${restaurantsWithFish.length} restaurant(s)!`,
+    message: lines.join('\n'),
+    requireInteraction: true
+  });
+}
+
+async function postScheduledChatSummary(results) {
+  const chatWebhook = await getChatWebhook();
+  if (!chatWebhook.enabled || !chatWebhook.postOnSchedule) return;
+
+  try {
+    await postChatSummary(results, toDateKey(new Date()));
+  } catch (error) {
+    console.error('Error posting scheduled summary to chat:', error);
+    await chrome.notifications.create(`${FISH_NOTIFICATION_PREFIX}chat-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'Missa Kala - Chat post failed',
+      message: error.message
     });
   }
+}
+
+// The popup's "Post to chat" button posts the stored results for the shown day
+async function postStoredResultsToChat(dateKey, options = {}) {
+  const data = await chrome.storage.local.get(['lastResults', 'lastTargetDate', 'lastChecked']);
+  const storedKey = data.lastTargetDate || (data.lastChecked && toDateKey(new Date(data.lastChecked)));
+  if (!data.lastResults || storedKey !== dateKey) {
+    throw new Error('Check the menus before posting them');
+  }
+
+  return postChatSummary(data.lastResults, dateKey, options);
+}
+
+function getFittingFishItems(result, dietProfile) {
+  return (result.dishes || [])
+    .filter(dish => dish.watchlists.includes(FISH_WATCHLIST.id) && dishFitsDietProfile(dish, dietProfile))
+    .map(dish => dish.text);
+}
+
+async function openNotificationTarget(notificationId) {
+  chrome.notifications.clear(notificationId);
+
+  // Prefer the popup; openPopup is not available in every Chrome version
+  try {
+    await chrome.action.openPopup();
+    return;
+  } catch (error) {
+    console.warn('Could not open popup from notification:', error);
+  }
+
+  const data = await chrome.storage.local.get('lastResults');
+  const best = pickBestResult(data.lastResults || []);
+  if (best) {
+    chrome.tabs.create({ url: best.url });
+  }
+}
+
+// Best restaurant = fish found with reliable day detection, then any fish
+function pickBestResult(results) {
+  const withFish = results.filter(r => r.hasFish && !r.error);
+  return withFish.find(r => r.confidence && r.confidence.dayDetection === 'high') ||
+    withFish[0] ||
+    null;
+}
+
+// Toolbar badge: the number of restaurants with fish today (dishes that fit
+// the diet profile, like the notification). States:
+//   '…' blue  - a check is running
+//   'n' green - fish at n restaurants, '0' grey - no fish
+//   '!' red   - no fish found and some restaurants could not be checked
+//   '?' grey  - not checked today (the badge falls back to this at midnight)
+// The tooltip lists the restaurants with fish. Only checks for today count.
+const BADGE_STATE_KEY = 'badgeState';
+const BADGE_MIDNIGHT_ALARM = 'badgeMidnight';
+const BADGE_COLORS = {
+  checking: '#667eea',
+  fish: '#28a745',
+  noFish: '#6c757d',
+  error: '#dc3545',
+  notChecked: '#adb5bd'
+};
+
+async function storeBadgeResults(dateKey, results) {
+  if (dateKey !== toDateKey(new Date())) return;
+
+  const dietProfile = await getDietProfile();
+  await chrome.storage.local.set({
+    [BADGE_STATE_KEY]: {
+      date: dateKey,
+      fishRestaurants: results
+        .filter(r => r && !r.error && getFittingFishItems(r, dietProfile).length > 0)
+        .map(r => r.name),
+      errors: results.filter(r => r && r.error && !r.cancelled).length
+    }
+  });
+}
+
+async function refreshBadge() {
+  try {
+    if (activeCheck) {
+      await setBadge('…', BADGE_COLORS.checking, 'Missa Kala - checking menus...');
+      return;
+    }
+
+    const data = await chrome.storage.local.get(BADGE_STATE_KEY);
+    const state = data[BADGE_STATE_KEY];
+    const todayKey = toDateKey(new Date());
+
+    if (!state || state.date !== todayKey) {
+      await setBadge('?', BADGE_COLORS.notChecked, 'Missa Kala - not checked today');
+    } else {
+      const errorNote = state.errors > 0 ? `\n${state.errors} restaurant(s) could not be checked` : '';
+      const count = state.fishRestaurants.length;
+
+      if (count > 0) {
+        await setBadge(String(count), BADGE_COLORS.fish,
+          `Missa Kala - fish today at:\n${state.fishRestaurants.join('\n')}${errorNote}`);
+      } else if (state.errors > 0) {
+        await setBadge('!', BADGE_COLORS.error, `Missa Kala - no fish found today${errorNote}`);
+      } else {
+        await setBadge('0', BADGE_COLORS.noFish, 'Missa Kala - no fish today');
+      }
+    }
+
+    // Creating the alarm again replaces the previous one
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+    chrome.alarms.create(BADGE_MIDNIGHT_ALARM, { when: midnight.getTime() });
+  } catch (error) {
+    console.error('Error updating badge:', error);
+  }
+}
+
+async function setBadge(text, color, title) {
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setTitle({ title });
+}
+
+// Adding a restaurant from an open tab. The page's context menu (also shown on
+// the toolbar icon) asks for the tab's origin, previews today's detection on
+// the tab's rendered text and opens the popup, where the user saves or
+// discards it. The popup's own "Add this page" button uses 'previewRestaurant'.
+const ADD_RESTAURANT_MENU_ID = 'add-restaurant';
+const RESTAURANT_PREVIEW_KEY = 'restaurantPreview';
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ADD_RESTAURANT_MENU_ID,
+      title: 'Add this page as a restaurant',
+      contexts: ['page', 'action']
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== ADD_RESTAURANT_MENU_ID || !tab) return;
+
+  // The permission prompt must be requested while handling the click
+  const origin = validateRestaurantUrl(tab.url) ? null : `${new URL(tab.url).origin}/*`;
+  const permission = origin
+    ? chrome.permissions.request({ origins: [origin] }).catch(() => false)
+    : Promise.resolve(false);
+
+  addRestaurantFromTab(tab, permission);
 });
-*/
+
+async function addRestaurantFromTab(tab, permission) {
+  let preview;
+  try {
+    await permission;
+    preview = await previewRestaurantFromTab(tab.id);
+  } catch (error) {
+    console.error('Error previewing restaurant:', error);
+    preview = { restaurant: { name: tab.title || '', url: tab.url || '' }, error: error.message };
+  }
+
+  await chrome.storage.local.set({ [RESTAURANT_PREVIEW_KEY]: preview });
+
+  // Without openPopup the preview waits for the next time the popup opens
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    console.warn('Could not open popup for the restaurant preview:', error);
+  }
+}
+
+// The tab's URL and title as an unsaved restaurant, and today's result for its
+// rendered text: { restaurant, result }
+async function previewRestaurantFromTab(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const urlError = validateRestaurantUrl(tab.url);
+  if (urlError) {
+    throw new Error(`This page can't be added: ${urlError}`);
+  }
+
+  const restaurant = {
+    id: createId(),
+    name: (tab.title || '').trim() || new URL(tab.url).hostname,
+    url: new URL(tab.url).href,
+    enabled: true
+  };
+
+  const pageResults = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      const body = document.body;
+      return body ? (body.innerText || body.textContent || '') : '';
+    }
+  });
+
+  const context = {
+    watchlists: await getWatchlists(),
+    date: new Date(),
+    pageText: pageResults?.[0]?.result || ''
+  };
+
+  let result;
+  try {
+    result = await checkRestaurantMenu(restaurant, context);
+  } catch (error) {
+    result = buildErrorResult(restaurant, error);
+  }
+
+  return { restaurant, result: { ...result, checkedAt: new Date().toISOString() } };
+}
@@ -0,0 +1,106 @@
+// Team chat webhook for Missa Kala
+// Posts the day's fish summary to an incoming-webhook URL (settings: chatWebhook).
+// Each menu date is posted at most once unless the post is forced; the outcome
+// of the last attempt is kept in chrome.storage.local:
+//   chatWebhookStatus = { postedDates: ['YYYY-MM-DD', ...], lastAttemptAt, lastDate, lastError }
+
+const CHAT_WEBHOOK_STATUS_KEY = 'chatWebhookStatus';
+const CHAT_WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_POSTED_DATES = 14;
+
+async function getChatWebhookStatus() {
+  const data = await chrome.storage.local.get(CHAT_WEBHOOK_STATUS_KEY);
+  return { postedDates: [], lastAttemptAt: null, lastDate: null, lastError: null, ...(data[CHAT_WEBHOOK_STATUS_KEY] || {}) };
+}
+
+// Returns { posted: true }, { alreadyPosted: true } or throws with the delivery error
+async function postChatSummary(results, dateKey, options = {}) {
+  const chatWebhook = await getChatWebhook();
+  if (!chatWebhook.enabled || !chatWebhook.url) {
+    throw new Error('The team chat webhook is not set up');
+  }
+
+  const status = await getChatWebhookStatus();
+  if (!options.force && status.postedDates.includes(dateKey)) {
+    return { alreadyPosted: true };
+  }
+
+  const payload = formatChatMessage(results, dateKey, chatWebhook.format);
+  let lastError = null;
+
+  try {
+    const response = await fetch(chatWebhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(CHAT_WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+  } catch (error) {
+    lastError = error.name === 'TimeoutError'
+      ? `No answer from the webhook within ${CHAT_WEBHOOK_TIMEOUT_MS / 1000} s`
+      : error.message;
+  }
+
+  const postedDates = lastError
+    ? status.postedDates
+    : [...status.postedDates.filter(date => date !== dateKey), dateKey].slice(-MAX_POSTED_DATES);
+
+  await chrome.storage.local.set({
+    [CHAT_WEBHOOK_STATUS_KEY]: { postedDates, lastAttemptAt: new Date().toISOString(), lastDate: dateKey, lastError }
+  });
+
+  if (lastError) {
+    throw new Error(`Could not post to chat: ${lastError}`);
+  }
+  return { posted: true };
+}
+
+// Restaurants with fish, their fish dishes and links, plus the ones that
+// couldn't be checked. 'slack' uses Slack mrkdwn links (<url|name>).
+function formatChatMessage(results, dateKey, format) {
+  const date = parseDateKey(dateKey) || new Date();
+  const dayLabel = date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'numeric' });
+  const withFish = results
+    .filter(result => result && !result.error)
+    .map(result => ({
+      name: result.name,
+      url: result.url,
+      dishes: (result.dishes || [])
+        .filter(dish => dish.watchlists.includes(FISH_WATCHLIST.id))
+        .map(dish => dish.price ? `${dish.name || dish.text} (${dish.price.text})` : dish.name || dish.text)
+    }))
+    .filter(restaurant => restaurant.dishes.length > 0);
+  const failed = results.filter(result => result && result.error && !result.cancelled).map(result => result.name);
+
+  const lines = [];
+  if (withFish.length === 0) {
+    lines.push(`No fish on the menus for ${dayLabel}.`);
+  } else {
+    lines.push(`🐟 Fish on ${dayLabel} at ${withFish.length} restaurant(s):`);
+    withFish.forEach(restaurant => {
+      const name = format === 'slack' ? `<${restaurant.url}|${escapeSlackText(restaurant.name)}>` : restaurant.name;
+      const dishes = format === 'slack' ? restaurant.dishes.map(escapeSlackText) : restaurant.dishes;
+      lines.push(`• ${name}: ${dishes.join(', ')}${format === 'slack' ? '' : ` - ${restaurant.url}`}`);
+    });
+  }
+  if (failed.length > 0) {
+    lines.push(`Could not check: ${failed.join(', ')}`);
+  }
+
+  const text = lines.join('\n');
+  if (format === 'slack') {
+    return { text };
+  }
+
+  return { date: dateKey, text, restaurants: withFish, failed };
+}
+
+// Slack treats &, < and > as control characters
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,294 @@
+// Shareable configuration for Missa Kala
+// Restaurants (with their extraction rules) and watchlists (the fish keywords and
+// rules, custom watchlists) are exported to a JSON file that teammates can import.
+//
+// Schema "missa-kala/config", version 1. Fields are only ever added within a
+// version; files from a newer version are refused.
+//   {
+//     schema: "missa-kala/config", version: 1, exportedAt: ISO time,
+//     restaurants: [{ id, name, url, enabled, extraction?, waitForSelector?, fetchMode? }],
+//     fishWatchlist: { keywords, wholeWords, exclusions },        optional
+//     watchlists: [{ id, name, emoji, keywords, wholeWords, exclusions }]   optional
+//   }
+//
+// Importing either merges into the current configuration (restaurants whose URL
+// is already listed and watchlists whose name is taken are skipped, fish keywords
+// and rules are combined) or replaces it. Either way it is saved in one write.
+
+const CONFIG_EXPORT_SCHEMA = 'missa-kala/config';
+const CONFIG_EXPORT_VERSION = 1;
+
+function buildConfigExport(restaurants, watchlists) {
+  const fish = watchlists.find(watchlist => watchlist.id === FISH_WATCHLIST.id) || FISH_WATCHLIST;
+
+  return {
+    schema: CONFIG_EXPORT_SCHEMA,
+    version: CONFIG_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    restaurants: restaurants.map(pickRestaurantFields),
+    fishWatchlist: pickWatchlistRules(fish),
+    watchlists: watchlists
+      .filter(watchlist => watchlist.id !== FISH_WATCHLIST.id)
+      .map(watchlist => ({ id: watchlist.id, name: watchlist.name, emoji: watchlist.emoji, ...pickWatchlistRules(watchlist) }))
+  };
+}
+
+// Returns { config, errors }; config is null when the file can't be used
+function parseConfigImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: ['The file is not valid JSON'] };
+  }
+
+  if (!data || data.schema !== CONFIG_EXPORT_SCHEMA) {
+    return { config: null, errors: ['This is not a Missa Kala configuration file'] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { config: null, errors: ['The configuration version is missing or unknown'] };
+  }
+  if (data.version > CONFIG_EXPORT_VERSION) {
+    return { config: null, errors: [`The file is configuration version ${data.version}; this extension reads up to version ${CONFIG_EXPORT_VERSION}`] };
+  }
+
+  const errors = [];
+  const restaurants = Array.isArray(data.restaurants) ? data.restaurants : null;
+  if (!restaurants) {
+    errors.push('restaurants must be a list');
+  } else {
+    restaurants.forEach((restaurant, index) => {
+      const label = (restaurant && restaurant.name) || `Restaurant ${index + 1}`;
+      if (!restaurant || typeof restaurant !== 'object') {
+        errors.push(`${label}: not a restaurant`);
+        return;
+      }
+      // Index ids so duplicate URLs inside the file are reported too
+      const earlier = restaurants.slice(0, index).map((other, i) => ({ ...other, id: `#${i}` }));
+      validateRestaurant({ ...restaurant, id: `#${index}` }, earlier)
+        .forEach(error => errors.push(`${label}: ${error}`));
+    });
+  }
+
+  if (data.fishWatchlist !== undefined) {
+    const fish = { ...FISH_WATCHLIST, ...data.fishWatchlist, id: FISH_WATCHLIST.id };
+    [...validateWatchlistLists(fish), ...validateWatchlist(fish)]
+      .forEach(error => errors.push(`${FISH_WATCHLIST.name}: ${error}`));
+  }
+
+  const watchlists = data.watchlists === undefined ? [] : data.watchlists;
+  if (!Array.isArray(watchlists)) {
+    errors.push('watchlists must be a list');
+  } else {
+    watchlists.forEach((watchlist, index) => {
+      const label = (watchlist && watchlist.name) || `Watchlist ${index + 1}`;
+      if (!watchlist || typeof watchlist !== 'object') {
+        errors.push(`${label}: not a watchlist`);
+        return;
+      }
+      const earlier = watchlists.slice(0, index).map((other, i) => ({ ...other, id: `#${i}` }));
+      [...validateWatchlistLists(watchlist), ...validateWatchlist({ ...watchlist, id: `#${index}` }, earlier)]
+        .forEach(error => errors.push(`${label}: ${error}`));
+    });
+  }
+
+  if (errors.length > 0) {
+    return { config: null, errors };
+  }
+
+  return {
+    config: {
+      restaurants: restaurants.map(pickRestaurantFields),
+      fishWatchlist: data.fishWatchlist ? pickWatchlistRules(data.fishWatchlist) : null,
+      watchlists: watchlists.map(watchlist => ({
+        id: String(watchlist.id || createId()),
+        name: String(watchlist.name).trim(),
+        emoji: watchlist.emoji || '🍽️',
+        ...pickWatchlistRules(watchlist)
+      }))
+    },
+    errors: []
+  };
+}
+
+// The configuration after importing, plus what was added and skipped:
+// { restaurants, watchlists, fishWatchlist, addedRestaurants, skippedRestaurants,
+//   addedWatchlists, skippedWatchlists, addedKeywords }
+// current is { restaurants, watchlists (custom), fishWatchlist }; mode is 'merge' or 'replace'
+function planConfigImport(current, config, mode) {
+  if (mode === 'replace') {
+    return {
+      restaurants: config.restaurants,
+      watchlists: config.watchlists,
+      fishWatchlist: config.fishWatchlist || pickWatchlistRules(current.fishWatchlist),
+      addedRestaurants: config.restaurants.map(restaurant => restaurant.name),
+      skippedRestaurants: [],
+      addedWatchlists: config.watchlists.map(watchlist => watchlist.name),
+      skippedWatchlists: [],
+      addedKeywords: []
+    };
+  }
+
+  const restaurants = [...current.restaurants];
+  const skippedRestaurants = [];
+  const addedRestaurants = [];
+  config.restaurants.forEach(restaurant => {
+    const href = new URL(restaurant.url).href;
+    const existing = restaurants.find(other => !validateRestaurantUrl(other.url) && new URL(other.url).href === href);
+    if (existing) {
+      skippedRestaurants.push({ name: restaurant.name, existing: existing.name });
+      return;
+    }
+    const id = restaurants.some(other => other.id === restaurant.id) ? createId() : restaurant.id;
+    restaurants.push({ ...restaurant, id });
+    addedRestaurants.push(restaurant.name);
+  });
+
+  const watchlists = [...current.watchlists];
+  const skippedWatchlists = [];
+  const addedWatchlists = [];
+  config.watchlists.forEach(watchlist => {
+    const name = watchlist.name.toLowerCase();
+    if (name === FISH_WATCHLIST.name.toLowerCase() || watchlists.some(other => other.name.trim().toLowerCase() === name)) {
+      skippedWatchlists.push(watchlist.name);
+      return;
+    }
+    const id = watchlists.some(other => other.id === watchlist.id) ? createId() : watchlist.id;
+    watchlists.push({ ...watchlist, id });
+    addedWatchlists.push(watchlist.name);
+  });
+
+  const fishWatchlist = pickWatchlistRules(current.fishWatchlist);
+  const addedKeywords = [];
+  if (config.fishWatchlist) {
+    Object.entries(config.fishWatchlist.keywords).forEach(([language, keywords]) => {
+      const known = fishWatchlist.keywords[language] || [];
+      const added = keywords.filter(keyword => !known.some(other => other.toLowerCase() === keyword.toLowerCase()));
+      fishWatchlist.keywords = { ...fishWatchlist.keywords, [language]: [...known, ...added] };
+      addedKeywords.push(...added);
+    });
+    fishWatchlist.wholeWords = mergeWordLists(fishWatchlist.wholeWords, config.fishWatchlist.wholeWords);
+    fishWatchlist.exclusions = {
+      phrases: mergeWordLists(fishWatchlist.exclusions.phrases, config.fishWatchlist.exclusions.phrases),
+      negatives: mergeWordLists(fishWatchlist.exclusions.negatives, config.fishWatchlist.exclusions.negatives)
+    };
+  }
+
+  return {
+    restaurants,
+    watchlists,
+    fishWatchlist,
+    addedRestaurants,
+    skippedRestaurants,
+    addedWatchlists,
+    skippedWatchlists,
+    addedKeywords
+  };
+}
+
+// What each storage.sync item an import writes holds, for quota errors
+const CONFIG_IMPORT_ITEMS = {
+  restaurants: 'The restaurant list',
+  watchlists: 'The custom watchlists',
+  fishWatchlist: `The ${FISH_WATCHLIST.name.toLowerCase()} keywords and rules`
+};
+
+// Saves the planned restaurants and watchlists (and the fish watchlist, when given)
+// in one storage.sync write, so a failure leaves the old configuration whole.
+// Items over the sync quota are refused before anything is written.
+async function saveConfigImport(plan, fishWatchlist) {
+  const errors = [
+    ...validateRestaurantList(plan.restaurants),
+    ...plan.watchlists.flatMap(watchlist => validateWatchlist(watchlist, plan.watchlists)
+      .map(error => `${watchlist.name || 'Watchlist'}: ${error}`)),
+    ...(fishWatchlist ? validateWatchlist(fishWatchlist).map(error => `${FISH_WATCHLIST.name}: ${error}`) : [])
+  ];
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  const items = { restaurants: plan.restaurants, watchlists: plan.watchlists };
+  if (fishWatchlist) {
+    const { keywords, wholeWords, exclusions } = fishWatchlist;
+    items.fishWatchlist = { keywords, wholeWords, exclusions };
+  }
+
+  // Sync counts an item as its key plus its value as JSON
+  const sync = chrome.storage.sync;
+  const sizes = Object.entries(items).map(([key, value]) => ({
+    key,
+    bytes: new TextEncoder().encode(key + JSON.stringify(value)).length
+  }));
+  const tooLarge = sizes.find(size => size.bytes > sync.QUOTA_BYTES_PER_ITEM);
+  if (tooLarge) {
+    throw new Error(`${CONFIG_IMPORT_ITEMS[tooLarge.key]} would take ${formatKilobytes(tooLarge.bytes)}; ` +
+      `Chrome syncs at most ${formatKilobytes(sync.QUOTA_BYTES_PER_ITEM)} per item. Nothing was imported.`);
+  }
+
+  const otherBytes = await sync.getBytesInUse(null) - await sync.getBytesInUse(Object.keys(items));
+  const totalBytes = otherBytes + sizes.reduce((sum, size) => sum + size.bytes, 0);
+  if (totalBytes > sync.QUOTA_BYTES) {
+    throw new Error(`The settings would take ${formatKilobytes(totalBytes)}; Chrome syncs at most ` +
+      `${formatKilobytes(sync.QUOTA_BYTES)} in total. Nothing was imported.`);
+  }
+
+  try {
+    await sync.set(items);
+  } catch (error) {
+    throw new Error(/QUOTA/.test(error.message)
+      ? `The configuration is too large to sync (${error.message}). Nothing was imported.`
+      : error.message);
+  }
+}
+
+function formatKilobytes(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Keywords, whole words and exclusions must be lists of words
+function validateWatchlistLists(watchlist) {
+  const isWordList = list => Array.isArray(list) && list.every(word => typeof word === 'string');
+  const keywords = watchlist.keywords;
+  const exclusions = watchlist.exclusions || {};
+  const lists = [
+    ...(keywords && typeof keywords === 'object' ? Object.values(keywords) : [null]),
+    watchlist.wholeWords || [],
+    exclusions.phrases || [],
+    exclusions.negatives || []
+  ];
+
+  return lists.every(isWordList) ? [] : ['Keywords and exclusions must be lists of words'];
+}
+
+function pickRestaurantFields(restaurant) {
+  const picked = {
+    id: String(restaurant.id || createId()),
+    name: String(restaurant.name).trim(),
+    url: new URL(String(restaurant.url).trim()).href,
+    enabled: restaurant.enabled !== false
+  };
+  if (restaurant.extraction) picked.extraction = { ...restaurant.extraction };
+  if (restaurant.waitForSelector) picked.waitForSelector = String(restaurant.waitForSelector);
+  if (restaurant.fetchMode) picked.fetchMode = restaurant.fetchMode;
+  return picked;
+}
+
+function pickWatchlistRules(watchlist) {
+  const exclusions = watchlist.exclusions || {};
+  return {
+    keywords: { ...watchlist.keywords },
+    wholeWords: [...(watchlist.wholeWords || [])],
+    exclusions: {
+      phrases: [...(exclusions.phrases || [])],
+      negatives: [...(exclusions.negatives || [])]
+    }
+  };
+}
+
+function mergeWordLists(current, imported) {
+  const merged = [...current];
+  imported.forEach(word => {
+    if (!merged.some(other => other.toLowerCase() === word.toLowerCase())) merged.push(word);
+  });
+  return merged;
+}
@@ -1,44 +1,114 @@
 // Configuration for Missa Kala - Restaurant Menu Checker
 
-const RESTAURANTS = [
+// Default restaurants, copied to chrome.storage.sync on first run.
+// After that the list is managed from the options page (settings.js).
+const DEFAULT_RESTAURANTS = [
   {
+    id: "factory-salmisaari",
     name: "Factory Salmisaari",
     url: "https://ravintolafactory.com/lounasravintolat/ravintolat/helsinki-salmisaari/",
     enabled: true
   },
   {
+    id: "factory-ruoholahti",
     name: "Factory Ruoholahti",
     url: "https://ravintolafactory.com/lounasravintolat/ravintolat/factory-ruoholahti/",
     enabled: true
   },
   {
+    id: "the-local-kitchen-poijut",
     name: "The Local Kitchen Poijut",
     url: "https://www.compass-group.fi/en/ravintolat-ja-ruokalistat/food--co/kaupungit/helsinki/the-local-kitchen-poijut/",
     enabled: true
   },
   {
+    id: "food-and-co-ruoholahti",
     name: "Food & Co Ruoholahti",
     url: "https://www.compass-group.fi/en/ravintolat-ja-ruokalistat/food--co/kaupungit/helsinki/ruoholahti/",
     enabled: true
   }
 ];
 
-// Keywords to search for fish dishes (case-insensitive)
-// Add more fish-related terms in different languages if needed
-const FISH_KEYWORDS = [
-  // English
-  "fish", "salmon", "cod", "tuna", "trout", "halibut", "haddock", "mackerel",
-  "sea bass", "sea bream", "sardine", "herring", "tilapia", "catfish",
+// Default schedule for automatic background checks.
+// weekdays uses Date.getDay() numbering (0=Sun, 1=Mon, ..., 6=Sat).
+// skipDates are local dates (YYYY-MM-DD) such as public holidays.
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  time: "10:30",
+  weekdays: [1, 2, 3, 4, 5],
+  skipDates: [],
+  notifyWhenNoFish: false
+};
 
-  // Finnish (add more if needed)
-  "kala", "lohi", "turska", "tonnikala", "taimen", "ahven", "kuha", "siika",
-  "silakka", "silakkapihvi", "kalaruoka", "kalaviikko",
+// Default check options.
+// concurrency: how many restaurants are checked at the same time
+// timeoutSeconds: per-restaurant limit, covering both fetch and hidden-tab rendering
+// retries: extra attempts after a temporary failure (network, timeout, HTTP 5xx)
+const DEFAULT_CHECK_OPTIONS = {
+  concurrency: 3,
+  timeoutSeconds: 30,
+  retries: 2
+};
 
-  // Generic terms
-  "seafood", "fillet", "grilled fish", "baked fish", "fried fish"
-];
+// Default diet profile (applied when results are shown).
+// requiredDiets: diet markers every dish must carry, e.g. ["G"] or ["L", "G"]
+// mode: "hide" drops dishes that don't fit, "demote" lists them last and greyed out
+const DEFAULT_DIET_PROFILE = {
+  requiredDiets: [],
+  mode: "demote"
+};
+
+// Default team chat webhook (off until a URL is set on the options page).
+// format: "slack" posts { text } for Slack-compatible incoming webhooks,
+//         "json" posts { date, text, restaurants, failed } for other services
+// postOnSchedule: also post after each scheduled check (at most once a day)
+const DEFAULT_CHAT_WEBHOOK = {
+  enabled: false,
+  url: "",
+  format: "slack",
+  postOnSchedule: true
+};
+
+// Built-in fish watchlist (always present, case-insensitive).
+// Custom watchlists (vegetarian, soup, ...) are added on the options page and
+// use the same shape:
+//   keywords           - per language code
+//   wholeWords         - keywords that only match as a whole word ("cod", not "codex")
+//   exclusions.phrases - keywords inside these phrases don't count ("kala" in "kalakastike")
+//   exclusions.negatives - these words cancel the match for the whole line ("broileri")
+// Finnish keywords listed in finnish-inflection.js also match their inflected and
+// compound forms ("lohi" matches "lohta", "lohen", "savulohi", "lohikeitto").
+const FISH_WATCHLIST = {
+  id: "fish",
+  name: "Fish",
+  emoji: "🐟",
+  builtIn: true,
+  keywords: {
+    en: [
+      "fish", "salmon", "cod", "tuna", "trout", "halibut", "haddock", "mackerel",
+      "sea bass", "sea bream", "sardine", "herring", "tilapia", "catfish",
+      "seafood", "fillet", "grilled fish", "baked fish", "fried fish"
+    ],
+    fi: [
+      "kala", "lohi", "turska", "tonnikala", "taimen", "ahven", "kuha", "siika",
+      "silakka", "silakkapihvi", "kalaruoka", "kalaviikko", "muikku", "hauki",
+      "silli", "nieriä", "kampela", "säynävä", "lahna"
+    ]
+  },
+  wholeWords: ["cod"],
+  exclusions: {
+    phrases: [
+      "fish sauce", "fish stock", "oyster sauce", "chicken fillet", "pork fillet",
+      "beef fillet", "turkey fillet", "kalakastike", "kalakastikkeella", "kalakastiketta",
+      "kalaliemi", "kalafondi", "ahvenanmaa"
+    ],
+    negatives: [
+      "broileri", "kanafilee", "kananrinta", "ei kalaa", "kalaton", "no fish", "fish-free"
+    ]
+  }
+};
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { RESTAURANTS, FISH_KEYWORDS };
+  module.exports = { DEFAULT_RESTAURANTS, DEFAULT_SCHEDULE, DEFAULT_CHECK_OPTIONS, DEFAULT_DIET_PROFILE, DEFAULT_CHAT_WEBHOOK, FISH_WATCHLIST };
 }
@@ -0,0 +1,127 @@
+// Structured dish records for Missa Kala
+// Finnish lunch menus write a dish as one line with its diet markers and price,
+// e.g. "Paistettua lohta, tilliperunat (L, G) 12,70 €". parseDishLine splits such
+// a line into:
+//   name        - the dish itself ("Paistettua lohta")
+//   description - sides and details after the first separator ("tilliperunat")
+//   diets       - diet markers in menu order (["L", "G"])
+//   price       - { amount: 12.7, text: "12,70 €" } or null
+// dishFitsDietProfile checks such a record against the user's diet profile.
+
+// L = lactose free, VL = low lactose, G = gluten free, M = milk free,
+// VEG/VE = vegan, K = vegetarian, ILM = climate friendly, * = heart symbol
+const DIET_TAGS = ['L', 'VL', 'G', 'M', 'VEG', 'VE', 'K', 'ILM', '*'];
+
+// Markers that also satisfy other requirements: milk free is lactose free,
+// vegan is milk free and vegetarian
+const IMPLIED_DIETS = {
+  M: ['L'],
+  VEG: ['VE', 'M', 'L', 'K'],
+  VE: ['VEG', 'M', 'L', 'K']
+};
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// "12,70 €", "12.70€", "12 €", "€12.70", "12,70 eur"
+const PRICE_PATTERN = /(?:€\s*(\d{1,3}(?:[,.]\d{1,2})?)|(\d{1,3}(?:[,.]\d{1,2})?)\s*(?:€|eur(?:oa?)?\b))/i;
+
+// Separators between the dish name and its sides
+const DESCRIPTION_SEPARATORS = [' – ', ' — ', ' - ', ': ', ', '];
+
+function parseDishLine(line) {
+  let rest = line.replace(/\s+/g, ' ').trim();
+
+  const priceMatch = rest.match(PRICE_PATTERN);
+  let price = null;
+  if (priceMatch) {
+    const amountText = priceMatch[1] || priceMatch[2];
+    price = {
+      amount: Number(amountText.replace(',', '.')),
+      text: priceMatch[0].trim()
+    };
+    rest = `${rest.slice(0, priceMatch.index)} ${rest.slice(priceMatch.index + priceMatch[0].length)}`;
+  }
+
+  const diets = [];
+  const addDiets = tags => tags.forEach(tag => {
+    if (!diets.includes(tag)) diets.push(tag);
+  });
+
+  // Bracketed markers: "(L, G)", "[VEG]"
+  rest = rest.replace(/[([]([^()[\]]*)[)\]]/g, (group, inner) => {
+    const tags = splitDietTags(inner);
+    if (!tags) return group;
+    addDiets(tags);
+    return ' ';
+  });
+
+  // Trailing markers without brackets: "Lohikeitto L G", "Kasvispihvit, M, VE"
+  const words = rest.trim().split(' ');
+  const trailing = [];
+  while (words.length > 1) {
+    const tags = splitDietTags(words[words.length - 1].replace(/,$/, ''));
+    if (!tags) break;
+    words.pop();
+    trailing.unshift(...tags);
+  }
+  addDiets(trailing);
+
+  const body = words.join(' ').replace(/[\s,;/]+$/, '').replace(/\s+/g, ' ').trim();
+  const { name, description } = splitNameAndDescription(body);
+
+  return { name, description, diets, price };
+}
+
+// Tags in one marker group ("L, G", "L,G", "VEG", "M/G"), or null if any part isn't a diet tag.
+// Letter tags must be upper case so words like "ve" or "m" in prose don't count.
+function splitDietTags(text) {
+  const parts = text.split(/[\s,/]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const tags = [];
+  for (const part of parts) {
+    const tag = part === 'Veg' ? 'VEG' : part;
+    if (!DIET_TAGS.includes(tag)) return null;
+    tags.push(tag);
+  }
+  return tags;
+}
+
+// The earliest separator ends the name
+function splitNameAndDescription(text) {
+  let split = null;
+  for (const separator of DESCRIPTION_SEPARATORS) {
+    const index = text.indexOf(separator);
+    if (index > 0 && (!split || index < split.index)) {
+      split = { index, separator };
+    }
+  }
+
+  if (!split) {
+    return { name: text, description: '' };
+  }
+
+  return {
+    name: text.slice(0, split.index).trim(),
+    description: truncateText(text.slice(split.index + split.separator.length).trim(), MAX_DESCRIPTION_LENGTH)
+  };
+}
+
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+// A dish fits when it carries (or implies) every required marker. Dishes
+// without diet information never fit a non-empty profile.
+function dishFitsDietProfile(dish, profile) {
+  const required = (profile && profile.requiredDiets) || [];
+  if (required.length === 0) return true;
+
+  const diets = new Set();
+  (dish.diets || []).forEach(tag => {
+    diets.add(tag);
+    (IMPLIED_DIETS[tag] || []).forEach(implied => diets.add(implied));
+  });
+
+  return required.every(tag => diets.has(tag));
+}
@@ -0,0 +1,103 @@
+// Per-restaurant extraction rules for Missa Kala
+// Loaded in the offscreen document (for fetched HTML) and injected into the hidden
+// tab by chrome.scripting.executeScript (for rendered pages). Because the function
+// is serialized for injection it must stay self-contained: no outside helpers.
+//
+// rules:  { container, dayHeading, dish } - optional CSS selectors (dateFormat is
+//         resolved to dateTexts by the background worker)
+// target: { dayNames, dateTexts, day, month } - lowercase day names and date strings
+//         for the day to find, and its day of month and month
+// doc:    the document to search (defaults to the page the function runs in)
+
+function extractMenuByRules(rules, target, doc) {
+  const root = doc || document;
+
+  function textOf(element) {
+    return (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function hasName(text, name) {
+    if (name.length <= 3) {
+      return new RegExp(`(^|[^\\p{L}])${name}\\.?($|[^\\p{L}])`, 'u').test(text);
+    }
+    return text.includes(name);
+  }
+
+  // Day and month of the dates a heading gives ("23.10.", "23/10", "2026-10-23")
+  function headingDates(text) {
+    const dates = [];
+    for (const match of text.matchAll(/(?<!\d)\d{4}-(\d{1,2})-(\d{1,2})(?!\d)/g)) {
+      dates.push({ day: Number(match[2]), month: Number(match[1]) });
+    }
+    for (const match of text.matchAll(/(?<![\d./])(\d{1,2})[./](\d{1,2})(?!\d)/g)) {
+      dates.push({ day: Number(match[1]), month: Number(match[2]) });
+    }
+    return dates.filter(date => date.month >= 1 && date.month <= 12 && date.day >= 1 && date.day <= 31);
+  }
+
+  // A heading that gives a date ("Perjantai 23.10.") is the target's only on that
+  // date; a heading without one is matched by its day name
+  function isTargetHeading(text) {
+    const lower = text.toLowerCase();
+    if (target.dateTexts.some(dateText => lower.includes(dateText))) return true;
+
+    const dates = headingDates(lower);
+    if (dates.length > 0) {
+      return dates.some(date => date.day === target.day && date.month === target.month);
+    }
+    return target.dayNames.some(name => hasName(lower, name));
+  }
+
+  const containers = rules.container
+    ? Array.from(root.querySelectorAll(rules.container))
+    : [root.body || root.documentElement];
+
+  if (containers.length === 0) {
+    return { success: false, text: '', dishes: [], method: 'rules-no-container' };
+  }
+
+  const dishSelector = rules.dish || 'li, p';
+
+  for (const container of containers) {
+    // Without a heading selector the container itself is today's menu
+    if (!rules.dayHeading) {
+      const dishes = Array.from(container.querySelectorAll(dishSelector)).map(textOf).filter(Boolean);
+      if (dishes.length > 0) {
+        return { success: true, text: dishes.join('\n'), dishes, method: 'rules-container' };
+      }
+      continue;
+    }
+
+    const headings = Array.from(container.querySelectorAll(rules.dayHeading));
+    const targetHeading = headings.find(heading => isTargetHeading(textOf(heading)));
+    if (!targetHeading) continue;
+
+    // A dish belongs to the closest heading before it in document order
+    const dishes = [];
+    for (const dishElement of container.querySelectorAll(dishSelector)) {
+      if (headings.includes(dishElement)) continue;
+
+      let owner = null;
+      for (const heading of headings) {
+        const position = heading.compareDocumentPosition(dishElement);
+        if (position & Node.DOCUMENT_POSITION_FOLLOWING || position & Node.DOCUMENT_POSITION_CONTAINED_BY) {
+          owner = heading;
+        }
+      }
+
+      if (owner === targetHeading) {
+        const text = textOf(dishElement);
+        if (text) dishes.push(text);
+      }
+    }
+
+    return {
+      success: true,
+      text: [textOf(targetHeading), ...dishes].join('\n'),
+      dishes,
+      method: 'rules-day-heading'
+    };
+  }
+
+  return { success: false, text: '', dishes: [], method: 'rules-no-match' };
+}
@@ -0,0 +1,52 @@
+// Learned fetch strategies for Missa Kala
+// After a successful check, the way the menu was read is remembered per restaurant
+// in chrome.storage.local, with how much text it gave and how sure the day detection was:
+//   fetchStrategies[restaurantId] = { url, mode: 'api' | 'fetch' | 'hidden-tab',
+//                                     textLength, confidence, learnedAt }
+// The next check starts with that mode instead of guessing from the HTML. A
+// restaurant's fetchMode setting ('fetch' or 'hidden-tab') overrides it.
+
+const FETCH_STRATEGIES_KEY = 'fetchStrategies';
+const LEARNED_FETCH_MODES = ['api', 'fetch', 'hidden-tab'];
+const DAY_DETECTION_RANK = { none: 0, low: 1, high: 2 };
+
+async function loadFetchStrategies() {
+  const data = await chrome.storage.local.get(FETCH_STRATEGIES_KEY);
+  return data[FETCH_STRATEGIES_KEY] || {};
+}
+
+// Null when nothing was learned or the restaurant's URL changed since
+function getFetchStrategy(strategies, restaurant) {
+  const strategy = strategies[restaurant.id];
+  return strategy && strategy.url === restaurant.url ? strategy : null;
+}
+
+// Results served from the cache (304) or that failed teach nothing new
+async function saveFetchStrategies(restaurants, results) {
+  const strategies = await loadFetchStrategies();
+
+  results.forEach((result, index) => {
+    if (!result || result.error || !result.diagnostics || result.diagnostics.revalidated) return;
+    if (!LEARNED_FETCH_MODES.includes(result.diagnostics.mode)) return;
+
+    const restaurant = restaurants[index];
+    strategies[restaurant.id] = {
+      url: restaurant.url,
+      mode: result.diagnostics.mode,
+      textLength: result.diagnostics.textLength || 0,
+      confidence: (result.confidence && result.confidence.dayDetection) || 'none',
+      learnedAt: result.checkedAt || new Date().toISOString()
+    };
+  });
+
+  await chrome.storage.local.set({ [FETCH_STRATEGIES_KEY]: strategies });
+}
+
+// a and b are { confidence, textLength }: a reads clearly better with a more
+// certain day detection, or with the same certainty and at least twice the text
+function readsBetter(a, b) {
+  const rankA = DAY_DETECTION_RANK[a.confidence] || 0;
+  const rankB = DAY_DETECTION_RANK[b.confidence] || 0;
+  if (rankA !== rankB) return rankA > rankB;
+  return a.textLength >= Math.max(b.textLength, 1) * 2;
+}
@@ -0,0 +1,88 @@
+// Finnish inflection-aware matching for Missa Kala
+// Menus say "lohta", "lohen", "savulohi" and "paistettuja muikkuja" rather than
+// the base words in the keyword lists. For the words listed here, a keyword like
+// "lohi" matches a dish word when:
+//   - the word ends in the base form or a stem + case ending (lohi, lohta, savulohen)
+//   - the base or genitive form starts a compound whose next part is a dish word
+//     (lohikeitto, lohenmäti, but not lohikäärme or kalastaja)
+// Other keywords keep plain substring matching.
+//
+// Run test/finnish-inflection.test.js (node --test test/) after changing the lists.
+
+// Oblique stems per base word (consonant gradation and plural stems). Stems of
+// three letters ("loh", "kuh") start many other words, so they only take the
+// endings listed for them in FINNISH_SHORT_STEM_ENDINGS ("lohta", not "Lohja").
+const FINNISH_WORD_STEMS = {
+  kala: ['kala', 'kalo'],
+  lohi: ['lohe', 'loh'],
+  silakka: ['silaka', 'silako', 'silakko'],
+  muikku: ['muiku'],
+  kuha: ['kuh'],
+  ahven: ['ahvene', 'ahven'],
+  siika: ['siia', 'siiko', 'siik'],
+  turska: ['tursk'],
+  taimen: ['taimene', 'taimen'],
+  hauki: ['haue', 'hauke', 'hauk'],
+  silli: ['sille'],
+  nieriä: ['nieriö', 'nieri'],
+  kampela: ['kampelo'],
+  säynävä: ['säynäv'],
+  lahna: ['lahno'],
+  tonnikala: ['tonnikalo']
+};
+
+// Case endings (both vowel harmonies) that may follow a stem.
+// Longest first so "ineen" wins over "in".
+const FINNISH_CASE_ENDINGS = [
+  'ineen', 'iden', 'itten', 'ista', 'istä', 'issa', 'issä', 'illa', 'illä', 'ilta', 'iltä',
+  'ille', 'iksi', 'oita', 'oja', 'ojen', 'ita', 'itä', 'ien', 'jen', 'ine',
+  'ssa', 'ssä', 'sta', 'stä', 'lla', 'llä', 'lta', 'ltä', 'lle', 'ksi', 'na', 'nä',
+  'ta', 'tä', 'ja', 'jä', 'ia', 'iä', 'in', 'en', 'aa', 'ää', 'a', 'ä', 'n', 't', 'i'
+];
+
+const FINNISH_SHORT_STEM_ENDINGS = {
+  loh: ['ta', 'ia', 'ien', 'iin', 'ista', 'issa', 'illa', 'ille', 'iksi', 'ineen'],
+  kuh: ['ia', 'ien', 'iin', 'ista', 'issa', 'illa', 'ille', 'iksi', 'ineen']
+};
+
+// Beginnings of the dish words a fish name is a compound modifier of (lohi + keitto,
+// kala + puikot). Other compounds ("kalastaja", "lohikäärme") aren't fish.
+const FINNISH_COMPOUND_TAILS = [
+  'keit', 'puik', 'pihv', 'murek', 'laatik', 'kuk', 'pata', 'pada', 'vuok', 'vuoa',
+  'ruok', 'ruoa', 'annos', 'file', 'salaat', 'kiusau', 'pyöry', 'pull', 'taco',
+  'burger', 'soppa', 'sopa', 'paist', 'gratiini', 'curry', 'pasta', 'risotto',
+  'tortilla', 'wrap', 'leip', 'kakku', 'kakkar', 'tahna', 'rull', 'mät', 'kääry',
+  'tartar', 'sashimi', 'sushi', 'poke', 'kastik', 'liem', 'pannu', 'tiku', 'tikku',
+  'varta', 'kroket', 'piira', 'lasagne', 'peru', 'mousse', 'terriini',
+  'sämpyl', 'bowl', 'nugget'
+];
+
+function hasFinnishInflections(keyword) {
+  return Object.prototype.hasOwnProperty.call(FINNISH_WORD_STEMS, keyword);
+}
+
+function lineHasFinnishWord(line, baseWord) {
+  const words = line.split(/[^\p{L}]+/u).filter(Boolean);
+  return words.some(word => finnishWordMatches(word, baseWord));
+}
+
+function finnishWordMatches(word, baseWord) {
+  const stems = FINNISH_WORD_STEMS[baseWord] || [];
+
+  // Head of the word: savulohi, lohta, graavilohen, paistettuja muikkuja
+  if (word.endsWith(baseWord)) return true;
+  for (const stem of [baseWord, ...stems]) {
+    for (const ending of FINNISH_SHORT_STEM_ENDINGS[stem] || FINNISH_CASE_ENDINGS) {
+      if (word.endsWith(stem + ending)) return true;
+    }
+  }
+
+  // Compound modifier: lohikeitto, kalapuikot, savulohikiusaus, lohenmäti
+  const modifiers = [baseWord, ...stems.map(stem => `${stem}n`)];
+  return modifiers.some(modifier => {
+    const index = word.indexOf(modifier);
+    if (index === -1) return false;
+    const tail = word.slice(index + modifier.length);
+    return FINNISH_COMPOUND_TAILS.some(part => tail.startsWith(part));
+  });
+}
@@ -0,0 +1,41 @@
+// Host permissions for restaurant sites
+// Restaurant origins are optional host permissions (see optional_host_permissions
+// in manifest.json). Chrome only shows the permission prompt during a user action,
+// so these are called from click handlers: the popup's Check button, "Grant access"
+// on an error card and importing restaurants on the options page.
+
+// Origin patterns ("https://example.com/*") of the enabled restaurants
+function getRestaurantOrigins(restaurants) {
+  const origins = new Set();
+  for (const restaurant of restaurants) {
+    if (!restaurant || !restaurant.enabled || !restaurant.url) continue;
+    if (validateRestaurantUrl(restaurant.url)) continue;
+    origins.add(`${new URL(restaurant.url).origin}/*`);
+  }
+
+  return Array.from(origins);
+}
+
+async function getMissingOrigins(origins) {
+  const missing = [];
+  for (const origin of origins) {
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+    if (!granted) missing.push(origin);
+  }
+  return missing;
+}
+
+// Ask for every origin not granted yet; restaurants defaults to the saved list
+async function ensureHostPermissions(restaurants) {
+  try {
+    const origins = getRestaurantOrigins(restaurants || await getRestaurants());
+    if (origins.length === 0) return true;
+
+    const missing = await getMissingOrigins(origins);
+    if (missing.length === 0) return true;
+    return await chrome.permissions.request({ origins: missing });
+  } catch (error) {
+    console.error('Error requesting host permissions:', error);
+    return false;
+  }
+}
@@ -0,0 +1,111 @@
+// Structured menu adapters for Missa Kala
+// Some restaurant sites load their menu as JSON. For those we skip page scraping
+// and map the site's own menu data straight to per-day dish lists.
+//
+// An adapter has:
+//   id                   - short name, shown as the detection method
+//   matches(restaurant)  - true if the adapter can handle this restaurant
+//   fetchMenu(restaurant, signal, date) - resolves to { days: [{ date: 'YYYY-MM-DD', dishes: [string] }] }
+//                        covering at least the requested date
+
+const COMPASS_GROUP_ADAPTER = {
+  id: 'compass-api',
+
+  matches(restaurant) {
+    try {
+      const { hostname } = new URL(restaurant.url);
+      return hostname === 'compass-group.fi' || hostname.endsWith('.compass-group.fi');
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async fetchMenu(restaurant, signal, date = new Date()) {
+    const url = new URL(restaurant.url);
+    const language = getCompassLanguage(url);
+    const costCenter = restaurant.costCenter || await findCompassCostCenter(restaurant.url, signal);
+
+    if (!costCenter) {
+      throw new Error('Could not find Compass Group cost center on the restaurant page');
+    }
+
+    const apiUrl = new URL('/menuapi/week-menus', url.origin);
+    apiUrl.searchParams.set('costCenter', costCenter);
+    apiUrl.searchParams.set('date', toDateKey(date));
+    apiUrl.searchParams.set('language', language);
+
+    const response = await fetch(apiUrl.href, {
+      signal,
+      headers: { 'Accept': 'application/json' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Menu API HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return { days: parseCompassMenu(await response.json()) };
+  }
+};
+
+const MENU_ADAPTERS = [
+  COMPASS_GROUP_ADAPTER
+];
+
+function findMenuAdapter(restaurant) {
+  return MENU_ADAPTERS.find(adapter => adapter.matches(restaurant)) || null;
+}
+
+function getCompassLanguage(url) {
+  const firstSegment = url.pathname.split('/').filter(Boolean)[0];
+  return firstSegment === 'en' ? 'en' : 'fi';
+}
+
+// The restaurant page embeds its cost center (the id the menu API uses)
+async function findCompassCostCenter(pageUrl, signal) {
+  const response = await fetch(pageUrl, {
+    signal,
+    headers: { 'Accept': 'text/html,application/xhtml+xml' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const match = html.match(/cost(?:Center|Number)\\?["']?\s*[:=]\s*\\?["']?(\d{3,6})/i);
+  return match ? match[1] : null;
+}
+
+// Handles both the current week-menus shape ({ menus: [{ date, menuPackages: [{ meals }] }] })
+// and the older feed shape ({ MenusForDays: [{ Date, SetMenus: [{ Components }] }] })
+function parseCompassMenu(data) {
+  const days = [];
+
+  if (data && Array.isArray(data.menus)) {
+    for (const menu of data.menus) {
+      const dishes = [];
+      for (const menuPackage of menu.menuPackages || []) {
+        for (const meal of menuPackage.meals || []) {
+          if (!meal || !meal.name) continue;
+          const diets = Array.isArray(meal.diets) && meal.diets.length > 0 ? ` (${meal.diets.join(', ')})` : '';
+          dishes.push(`${meal.name.trim()}${diets}`);
+        }
+      }
+      days.push({ date: String(menu.date || '').substring(0, 10), dishes });
+    }
+  } else if (data && Array.isArray(data.MenusForDays)) {
+    for (const menu of data.MenusForDays) {
+      const dishes = [];
+      for (const setMenu of menu.SetMenus || []) {
+        for (const component of setMenu.Components || []) {
+          if (component) dishes.push(String(component).trim());
+        }
+      }
+      days.push({ date: String(menu.Date || '').substring(0, 10), dishes });
+    }
+  } else {
+    throw new Error('Unrecognized Compass Group menu format');
+  }
+
+  return days;
+}
@@ -0,0 +1,88 @@
+// Per-restaurant menu cache for Missa Kala
+// Results are cached in chrome.storage.local per menu date and restaurant:
+//   menuCache[date][restaurantId] = { url, checkedAt, watchlistsSignature, restaurantSignature,
+//                                     etag, lastModified, result }
+// An entry is fresh until midnight of the day it was checked. Stale entries keep
+// their ETag / Last-Modified so the next check can revalidate with a conditional
+// request instead of parsing the page again. Dates before today are dropped.
+
+const MENU_CACHE_KEY = 'menuCache';
+
+async function loadMenuCache() {
+  const data = await chrome.storage.local.get(MENU_CACHE_KEY);
+  const cache = data[MENU_CACHE_KEY] || {};
+  const todayKey = toDateKey(new Date());
+
+  for (const date of Object.keys(cache)) {
+    if (date < todayKey) delete cache[date];
+  }
+
+  return cache;
+}
+
+// The usable entry for a restaurant, or null when the restaurant's URL, how its
+// page is read, or the watchlists changed since it was stored (the cached
+// matches would be wrong, and a 304 would keep them)
+function getMenuCacheEntry(cache, dateKey, restaurant, watchlistsSignature) {
+  const entry = cache[dateKey] && cache[dateKey][restaurant.id];
+  if (!entry || entry.url !== restaurant.url || entry.watchlistsSignature !== watchlistsSignature ||
+      entry.restaurantSignature !== getRestaurantSignature(restaurant)) {
+    return null;
+  }
+  return entry;
+}
+
+function isFreshCacheEntry(entry, now = new Date()) {
+  return Boolean(entry) && toDateKey(new Date(entry.checkedAt)) === toDateKey(now);
+}
+
+// Store successful results; failed ones keep the previous entry
+async function saveMenuCacheResults(dateKey, restaurants, results, validatorsById, watchlistsSignature) {
+  const cache = await loadMenuCache();
+  const dayCache = cache[dateKey] || {};
+
+  results.forEach((result, index) => {
+    if (!result || result.error) return;
+
+    const restaurant = restaurants[index];
+    const validators = validatorsById[restaurant.id] || {};
+    dayCache[restaurant.id] = {
+      url: restaurant.url,
+      checkedAt: result.checkedAt,
+      watchlistsSignature,
+      restaurantSignature: getRestaurantSignature(restaurant),
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      result
+    };
+  });
+
+  cache[dateKey] = dayCache;
+  await chrome.storage.local.set({ [MENU_CACHE_KEY]: cache });
+}
+
+// Short, stable fingerprint of the watchlists (keywords and rules)
+function getWatchlistsSignature(watchlists) {
+  return hashSignature(watchlists.map(({ id, keywords, wholeWords, exclusions }) =>
+    ({ id, keywords, wholeWords, exclusions })));
+}
+
+// Fingerprint of how a restaurant's page is read: extraction rules, wait-for
+// selector and fetch mode
+function getRestaurantSignature(restaurant) {
+  return hashSignature({
+    extraction: restaurant.extraction || null,
+    waitForSelector: restaurant.waitForSelector || null,
+    fetchMode: restaurant.fetchMode || null
+  });
+}
+
+function hashSignature(value) {
+  const text = JSON.stringify(value);
+
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
@@ -0,0 +1,142 @@
+// Menu history and statistics for Missa Kala
+// Every check is stored in chrome.storage.local, one entry per menu date and restaurant:
+//   menuHistory[date][restaurantId] = { name, checkedAt, dishes: [{ name, text, watchlists }] }
+// Checking the same day again replaces that day's entry, so repeated checks count once.
+// Failed checks and days without a menu are not recorded. Only the newest
+// MAX_HISTORY_DAYS dates are kept.
+
+const MENU_HISTORY_KEY = 'menuHistory';
+const MAX_HISTORY_DAYS = 180;
+const MAX_TOP_DISHES = 10;
+
+// Indexed by Date.getDay()
+const HISTORY_WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+async function loadMenuHistory() {
+  const data = await chrome.storage.local.get(MENU_HISTORY_KEY);
+  return data[MENU_HISTORY_KEY] || {};
+}
+
+async function recordMenuHistory(dateKey, results) {
+  const history = await loadMenuHistory();
+  const dayHistory = history[dateKey] || {};
+
+  results.forEach(result => {
+    if (!result || result.error || result.cancelled || result.dayNotFound) return;
+
+    dayHistory[result.id] = {
+      name: result.name,
+      checkedAt: result.checkedAt || new Date().toISOString(),
+      dishes: (result.dishes || [])
+        .filter(dish => dish.watchlists.length > 0)
+        .map(dish => ({ name: dish.name || dish.text, text: dish.text, watchlists: dish.watchlists }))
+    };
+  });
+
+  if (Object.keys(dayHistory).length === 0) return;
+
+  history[dateKey] = dayHistory;
+  await chrome.storage.local.set({ [MENU_HISTORY_KEY]: pruneMenuHistory(history) });
+}
+
+function pruneMenuHistory(history) {
+  const dates = Object.keys(history).sort();
+  dates.slice(0, Math.max(0, dates.length - MAX_HISTORY_DAYS)).forEach(date => {
+    delete history[date];
+  });
+  return history;
+}
+
+// Flat, date-ordered rows; hasMatch tells whether any dish matched the watchlist
+function getHistoryRows(history, watchlistId = FISH_WATCHLIST.id) {
+  const rows = [];
+  Object.keys(history).sort().forEach(date => {
+    const weekday = parseDateKey(date).getDay();
+    Object.entries(history[date]).forEach(([restaurantId, entry]) => {
+      const matches = entry.dishes.filter(dish => dish.watchlists.includes(watchlistId));
+      rows.push({
+        date,
+        weekday,
+        restaurantId,
+        restaurant: entry.name,
+        hasMatch: matches.length > 0,
+        dishes: matches.map(dish => dish.name)
+      });
+    });
+  });
+  return rows;
+}
+
+// Per restaurant: checked days and days with a match, overall and per weekday
+// (indexed by Date.getDay()), plus the current and longest run of checked days
+// in a row with a match. Days a restaurant wasn't checked don't break a run.
+// topDishes counts dish names case-insensitively across all restaurants.
+function getHistoryStatistics(history, watchlistId = FISH_WATCHLIST.id) {
+  const restaurants = new Map();
+  const dishCounts = new Map();
+
+  getHistoryRows(history, watchlistId).forEach(row => {
+    if (!restaurants.has(row.restaurantId)) {
+      restaurants.set(row.restaurantId, {
+        id: row.restaurantId,
+        name: row.restaurant,
+        days: 0,
+        matchDays: 0,
+        byWeekday: Array.from({ length: 7 }, () => ({ days: 0, matchDays: 0 })),
+        currentStreak: 0,
+        longestStreak: 0
+      });
+    }
+
+    const stats = restaurants.get(row.restaurantId);
+    stats.name = row.restaurant;
+    stats.days++;
+    stats.byWeekday[row.weekday].days++;
+
+    if (row.hasMatch) {
+      stats.matchDays++;
+      stats.byWeekday[row.weekday].matchDays++;
+      stats.currentStreak++;
+      stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+    } else {
+      stats.currentStreak = 0;
+    }
+
+    row.dishes.forEach(name => {
+      const key = name.toLowerCase();
+      const counted = dishCounts.get(key) || { name, count: 0 };
+      counted.count++;
+      dishCounts.set(key, counted);
+    });
+  });
+
+  const topDishes = Array.from(dishCounts.values())
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_TOP_DISHES);
+
+  return { restaurants: Array.from(restaurants.values()), topDishes };
+}
+
+function historyToCsv(history, watchlistId = FISH_WATCHLIST.id) {
+  const lines = [['date', 'weekday', 'restaurant_id', 'restaurant', 'has_match', 'dishes']];
+  getHistoryRows(history, watchlistId).forEach(row => {
+    lines.push([
+      row.date,
+      HISTORY_WEEKDAY_NAMES[row.weekday],
+      row.restaurantId,
+      row.restaurant,
+      row.hasMatch ? 'yes' : 'no',
+      row.dishes.join(' | ')
+    ]);
+  });
+  return lines.map(line => line.map(escapeCsvField).join(',')).join('\n');
+}
+
+function historyToJson(history) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), history }, null, 2);
+}
+
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,97 @@
+// Offscreen document for Missa Kala
+// The service worker has no DOMParser, so HTML parsing is delegated here.
+
+// Elements that start a new line in the extracted text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'thead', 'tfoot', 'tr', 'ul'
+]);
+
+// Elements whose content is never menu text
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object', 'canvas', 'head'
+]);
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Popup messages reach this page too; only answer the ones meant for it
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+
+  if (request.action === 'parseHtml') {
+    try {
+      const doc = new DOMParser().parseFromString(request.html, 'text/html');
+      sendResponse({
+        text: getBlockText(doc),
+        section: request.rules ? extractWithRulesSafely(request.rules, request.dayTarget, doc) : null
+      });
+    } catch (error) {
+      console.error('Error parsing HTML:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  return false;
+});
+
+// One line per block element (headings, paragraphs, list items, table rows).
+// Inline elements stay on the same line, so dish names are not split.
+// Entities are already decoded by the parser.
+function getBlockText(doc) {
+  const lines = [];
+  let current = '';
+
+  function flush() {
+    // Soft hyphens and zero-width characters would split keywords like "lohikeitto"
+    const line = current.replace(/[\u00AD\u200B-\u200D\uFEFF]/g, '').replace(/\s+/g, ' ').trim();
+    if (line) lines.push(line);
+    current = '';
+  }
+
+  function walk(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      current += node.nodeValue;
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const tag = node.localName;
+    if (SKIPPED_TAGS.has(tag) || node.hidden) return;
+
+    if (tag === 'br') {
+      flush();
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) flush();
+
+    for (const child of node.childNodes) {
+      walk(child);
+    }
+
+    if (isBlock) {
+      flush();
+    } else if (tag === 'td' || tag === 'th') {
+      current += ' ';
+    }
+  }
+
+  if (doc.body) walk(doc.body);
+  flush();
+
+  return lines.join('\n');
+}
+
+// Broken rules should not cost us the page text
+function extractWithRulesSafely(rules, dayTarget, doc) {
+  try {
+    return extractMenuByRules(rules, dayTarget, doc);
+  } catch (error) {
+    console.warn('Rule-based extraction failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,955 @@
+// Options page script for Missa Kala extension
+
+document.addEventListener('DOMContentLoaded', function() {
+  const listElement = document.getElementById('restaurantList');
+  const form = document.getElementById('restaurantForm');
+  const formTitle = document.getElementById('formTitle');
+  const nameInput = document.getElementById('restaurantName');
+  const urlInput = document.getElementById('restaurantUrl');
+  const enabledInput = document.getElementById('restaurantEnabled');
+  const rulesElement = document.getElementById('extractionRules');
+  const ruleInputs = {
+    container: document.getElementById('ruleContainer'),
+    dayHeading: document.getElementById('ruleDayHeading'),
+    dish: document.getElementById('ruleDish'),
+    dateFormat: document.getElementById('ruleDateFormat')
+  };
+  const waitForInput = document.getElementById('restaurantWaitFor');
+  const learnedStrategyElement = document.getElementById('learnedStrategy');
+  const formErrors = document.getElementById('formErrors');
+  const saveButton = document.getElementById('saveRestaurant');
+  const cancelButton = document.getElementById('cancelEdit');
+  const resetButton = document.getElementById('resetRestaurants');
+  const statusElement = document.getElementById('status');
+  const scheduleForm = document.getElementById('scheduleForm');
+  const scheduleEnabled = document.getElementById('scheduleEnabled');
+  const scheduleTime = document.getElementById('scheduleTime');
+  const scheduleWeekdays = document.getElementById('scheduleWeekdays');
+  const scheduleSkipDates = document.getElementById('scheduleSkipDates');
+  const scheduleNotifyNoFish = document.getElementById('scheduleNotifyNoFish');
+  const scheduleErrors = document.getElementById('scheduleErrors');
+  const nextCheckElement = document.getElementById('nextCheck');
+  const dietProfileForm = document.getElementById('dietProfileForm');
+  const dietRequired = document.getElementById('dietRequired');
+  const dietProfileErrors = document.getElementById('dietProfileErrors');
+  const checkOptionsForm = document.getElementById('checkOptionsForm');
+  const checkConcurrency = document.getElementById('checkConcurrency');
+  const checkTimeout = document.getElementById('checkTimeout');
+  const checkRetries = document.getElementById('checkRetries');
+  const checkOptionsErrors = document.getElementById('checkOptionsErrors');
+  const watchlistList = document.getElementById('watchlistList');
+  const watchlistForm = document.getElementById('watchlistForm');
+  const watchlistFormTitle = document.getElementById('watchlistFormTitle');
+  const watchlistEmoji = document.getElementById('watchlistEmoji');
+  const watchlistName = document.getElementById('watchlistName');
+  const watchlistKeywordInputs = {
+    en: document.getElementById('watchlistKeywordsEn'),
+    fi: document.getElementById('watchlistKeywordsFi'),
+    sv: document.getElementById('watchlistKeywordsSv')
+  };
+  const watchlistErrors = document.getElementById('watchlistErrors');
+  const saveWatchlistButton = document.getElementById('saveWatchlist');
+  const cancelWatchlistButton = document.getElementById('cancelWatchlistEdit');
+  const resetFishButton = document.getElementById('resetFishWatchlist');
+  const watchlistRules = document.getElementById('watchlistRules');
+  const watchlistWholeWords = document.getElementById('watchlistWholeWords');
+  const watchlistPhrases = document.getElementById('watchlistPhrases');
+  const watchlistNegatives = document.getElementById('watchlistNegatives');
+  const exportConfigButton = document.getElementById('exportConfig');
+  const importConfigForm = document.getElementById('importConfigForm');
+  const importConfigFile = document.getElementById('importConfigFile');
+  const importConfigUrl = document.getElementById('importConfigUrl');
+  const loadConfigUrlButton = document.getElementById('loadConfigUrl');
+  const importErrors = document.getElementById('importErrors');
+  const importPreview = document.getElementById('importPreview');
+  const importSummary = document.getElementById('importSummary');
+  const cancelImportButton = document.getElementById('cancelImport');
+  const chatWebhookForm = document.getElementById('chatWebhookForm');
+  const chatWebhookEnabled = document.getElementById('chatWebhookEnabled');
+  const chatWebhookUrl = document.getElementById('chatWebhookUrl');
+  const chatWebhookOnSchedule = document.getElementById('chatWebhookOnSchedule');
+  const chatWebhookStatus = document.getElementById('chatWebhookStatus');
+  const chatWebhookErrors = document.getElementById('chatWebhookErrors');
+  const historyStats = document.getElementById('historyStats');
+  const exportHistoryCsvButton = document.getElementById('exportHistoryCsv');
+  const exportHistoryJsonButton = document.getElementById('exportHistoryJson');
+
+  // Monday first, values follow Date.getDay()
+  const WEEKDAYS = [
+    { value: 1, label: 'Mon' },
+    { value: 2, label: 'Tue' },
+    { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' },
+    { value: 5, label: 'Fri' },
+    { value: 6, label: 'Sat' },
+    { value: 0, label: 'Sun' }
+  ];
+
+  // Ways a restaurant's menu can be read (see fetch-strategies.js)
+  const FETCH_MODE_LABELS = {
+    api: 'the menu API',
+    fetch: 'the fetched HTML',
+    'hidden-tab': 'a hidden tab'
+  };
+
+  // Diet markers a profile can require
+  const DIET_REQUIREMENTS = [
+    { tag: 'L', label: 'L (lactose free)' },
+    { tag: 'G', label: 'G (gluten free)' },
+    { tag: 'M', label: 'M (milk free)' },
+    { tag: 'K', label: 'K (vegetarian)' },
+    { tag: 'VEG', label: 'VEG (vegan)' }
+  ];
+
+  let restaurants = [];
+  let editingId = null;
+  let customWatchlists = [];
+  let fishWatchlist = FISH_WATCHLIST;
+  let editingWatchlistId = null;
+  let importedConfig = null;
+
+  form.addEventListener('submit', onSubmit);
+  cancelButton.addEventListener('click', resetForm);
+  resetButton.addEventListener('click', onReset);
+  scheduleForm.addEventListener('submit', onScheduleSubmit);
+  dietProfileForm.addEventListener('submit', onDietProfileSubmit);
+  checkOptionsForm.addEventListener('submit', onCheckOptionsSubmit);
+  exportConfigButton.addEventListener('click', exportConfig);
+  importConfigFile.addEventListener('change', onImportFileChange);
+  loadConfigUrlButton.addEventListener('click', onLoadConfigUrl);
+  importConfigForm.addEventListener('change', event => {
+    if (event.target.name === 'importMode') renderImportSummary();
+  });
+  importConfigForm.addEventListener('submit', onImportSubmit);
+  cancelImportButton.addEventListener('click', resetImport);
+  chatWebhookForm.addEventListener('submit', onChatWebhookSubmit);
+  watchlistForm.addEventListener('submit', onWatchlistSubmit);
+  cancelWatchlistButton.addEventListener('click', resetWatchlistForm);
+  resetFishButton.addEventListener('click', onResetFish);
+  exportHistoryCsvButton.addEventListener('click', () => exportHistory('csv'));
+  exportHistoryJsonButton.addEventListener('click', () => exportHistory('json'));
+
+  renderWeekdayInputs();
+  renderDietInputs();
+  loadRestaurants();
+  loadWatchlists();
+  loadDietProfile();
+  loadCheckOptions();
+  loadSchedule();
+  loadChatWebhook();
+  loadHistoryStats();
+
+  async function loadRestaurants() {
+    try {
+      restaurants = await getRestaurants();
+      renderList();
+    } catch (error) {
+      console.error('Error loading restaurants:', error);
+      showStatus('Could not load restaurants.', true);
+    }
+  }
+
+  async function persist(updated, message) {
+    try {
+      await saveRestaurants(updated);
+      restaurants = updated;
+      renderList();
+      showStatus(message);
+      return true;
+    } catch (error) {
+      console.error('Error saving restaurants:', error);
+      showStatus(error.message || 'Could not save restaurants.', true);
+      return false;
+    }
+  }
+
+  function renderList() {
+    listElement.innerHTML = '';
+
+    if (restaurants.length === 0) {
+      listElement.appendChild(createEl('div', 'empty-state', 'No restaurants yet. Add one below.'));
+      return;
+    }
+
+    restaurants.forEach((restaurant, index) => {
+      const row = createEl('div', 'restaurant-row');
+      if (!restaurant.enabled) row.classList.add('disabled');
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = Boolean(restaurant.enabled);
+      toggle.title = restaurant.enabled ? 'Disable' : 'Enable';
+      toggle.addEventListener('change', () => toggleRestaurant(restaurant.id, toggle.checked));
+
+      const info = createEl('div', 'restaurant-info');
+      info.appendChild(createEl('div', 'name', restaurant.name));
+      info.appendChild(createEl('div', 'url', restaurant.url));
+
+      const actions = createEl('div', 'row-actions');
+      actions.appendChild(createButton('↑', 'Move up', index === 0, () => moveRestaurant(index, -1)));
+      actions.appendChild(createButton('↓', 'Move down', index === restaurants.length - 1, () => moveRestaurant(index, 1)));
+      actions.appendChild(createButton('Edit', 'Edit restaurant', false, () => startEdit(restaurant)));
+      actions.appendChild(createButton('Delete', 'Delete restaurant', false, () => deleteRestaurant(restaurant)));
+
+      row.appendChild(toggle);
+      row.appendChild(info);
+      row.appendChild(actions);
+      listElement.appendChild(row);
+    });
+  }
+
+  async function onSubmit(event) {
+    event.preventDefault();
+
+    const candidate = {
+      id: editingId || createId(),
+      name: nameInput.value.trim(),
+      url: urlInput.value.trim(),
+      enabled: enabledInput.checked
+    };
+
+    const extraction = readExtractionRules();
+    if (extraction) candidate.extraction = extraction;
+    const waitForSelector = waitForInput.value.trim();
+    if (waitForSelector) candidate.waitForSelector = waitForSelector;
+    const fetchModeInput = form.querySelector('input[name="restaurantFetchMode"]:checked');
+    const fetchMode = fetchModeInput ? fetchModeInput.value : '';
+    if (fetchMode) candidate.fetchMode = fetchMode;
+
+    const errors = validateRestaurant(candidate, restaurants);
+    showFormErrors(errors);
+    if (errors.length > 0) return;
+
+    candidate.url = new URL(candidate.url).href;
+
+    let updated;
+    if (editingId) {
+      updated = restaurants.map(restaurant => {
+        if (restaurant.id !== editingId) return restaurant;
+        const merged = { ...restaurant, ...candidate };
+        if (!extraction) delete merged.extraction;
+        if (!waitForSelector) delete merged.waitForSelector;
+        if (!fetchMode) delete merged.fetchMode;
+        return merged;
+      });
+    } else {
+      updated = [...restaurants, candidate];
+    }
+
+    const saved = await persist(updated, editingId ? `Saved ${candidate.name}.` : `Added ${candidate.name}.`);
+    if (saved) resetForm();
+  }
+
+  async function onReset() {
+    if (!confirm('Replace your restaurant list with the defaults?')) return;
+
+    try {
+      restaurants = await resetRestaurants();
+      resetForm();
+      renderList();
+      showStatus('Restored default restaurants.');
+    } catch (error) {
+      console.error('Error resetting restaurants:', error);
+      showStatus('Could not reset restaurants.', true);
+    }
+  }
+
+  function toggleRestaurant(id, enabled) {
+    const updated = restaurants.map(restaurant =>
+      restaurant.id === id ? { ...restaurant, enabled } : restaurant
+    );
+    persist(updated, enabled ? 'Restaurant enabled.' : 'Restaurant disabled.');
+  }
+
+  function moveRestaurant(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= restaurants.length) return;
+
+    const updated = [...restaurants];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    persist(updated, 'Order saved.');
+  }
+
+  function deleteRestaurant(restaurant) {
+    if (!confirm(`Delete ${restaurant.name}?`)) return;
+
+    if (editingId === restaurant.id) resetForm();
+    const updated = restaurants.filter(other => other.id !== restaurant.id);
+    persist(updated, `Deleted ${restaurant.name}.`);
+  }
+
+  function startEdit(restaurant) {
+    editingId = restaurant.id;
+    nameInput.value = restaurant.name || '';
+    urlInput.value = restaurant.url || '';
+    enabledInput.checked = Boolean(restaurant.enabled);
+    const rules = restaurant.extraction || {};
+    Object.entries(ruleInputs).forEach(([field, input]) => {
+      input.value = rules[field] || '';
+    });
+    waitForInput.value = restaurant.waitForSelector || '';
+    form.querySelectorAll('input[name="restaurantFetchMode"]').forEach(input => {
+      input.checked = input.value === (restaurant.fetchMode || '');
+    });
+    showLearnedStrategy(restaurant);
+    rulesElement.open = Boolean(restaurant.extraction || restaurant.waitForSelector || restaurant.fetchMode);
+    formTitle.textContent = `Edit ${restaurant.name}`;
+    saveButton.textContent = 'Save changes';
+    cancelButton.classList.remove('hidden');
+    showFormErrors([]);
+    nameInput.focus();
+  }
+
+  function resetForm() {
+    editingId = null;
+    form.reset();
+    enabledInput.checked = true;
+    rulesElement.open = false;
+    learnedStrategyElement.textContent = '';
+    formTitle.textContent = 'Add restaurant';
+    saveButton.textContent = 'Add restaurant';
+    cancelButton.classList.add('hidden');
+    showFormErrors([]);
+  }
+
+  // What "Automatic" would do, from the restaurant's last successful check
+  async function showLearnedStrategy(restaurant) {
+    learnedStrategyElement.textContent = '';
+    try {
+      const strategy = getFetchStrategy(await loadFetchStrategies(), restaurant);
+      if (!strategy || editingId !== restaurant.id) return;
+      const mode = FETCH_MODE_LABELS[strategy.mode] || strategy.mode;
+      learnedStrategyElement.textContent =
+        `Automatic currently uses ${mode}: ${strategy.textLength} characters read, day detection ${strategy.confidence} (${new Date(strategy.learnedAt).toLocaleDateString()}).`;
+    } catch (error) {
+      console.error('Error loading fetch strategy:', error);
+    }
+  }
+
+  // Only keep filled-in fields; no fields means no rules
+  function readExtractionRules() {
+    const rules = {};
+    Object.entries(ruleInputs).forEach(([field, input]) => {
+      const value = input.value.trim();
+      if (value) rules[field] = value;
+    });
+    return Object.keys(rules).length > 0 ? rules : null;
+  }
+
+  function showFormErrors(errors) {
+    formErrors.innerHTML = '';
+    errors.forEach(error => formErrors.appendChild(createEl('div', '', error)));
+
+    nameInput.classList.toggle('invalid', errors.some(error => error.startsWith('Name')));
+    urlInput.classList.toggle('invalid', errors.some(error => error.startsWith('URL')));
+  }
+
+  async function loadWatchlists() {
+    try {
+      const watchlists = await getWatchlists();
+      fishWatchlist = watchlists[0];
+      customWatchlists = watchlists.filter(watchlist => !watchlist.builtIn);
+      renderWatchlists(watchlists);
+    } catch (error) {
+      console.error('Error loading watchlists:', error);
+      showStatus('Could not load watchlists.', true);
+    }
+  }
+
+  function renderWatchlists(watchlists) {
+    watchlistList.innerHTML = '';
+
+    watchlists.forEach(watchlist => {
+      const row = createEl('div', 'restaurant-row');
+      const info = createEl('div', 'restaurant-info');
+      info.appendChild(createEl('div', 'name', `${watchlist.emoji || ''} ${watchlist.name}`.trim()));
+      const keywords = Object.values(watchlist.keywords || {}).flat();
+      info.appendChild(createEl('div', 'url', keywords.join(', ')));
+      row.appendChild(info);
+
+      const actions = createEl('div', 'row-actions');
+      actions.appendChild(createButton('Edit', 'Edit watchlist', false, () => startWatchlistEdit(watchlist)));
+      if (!watchlist.builtIn) {
+        actions.appendChild(createButton('Delete', 'Delete watchlist', false, () => deleteWatchlist(watchlist)));
+      }
+      row.appendChild(actions);
+
+      watchlistList.appendChild(row);
+    });
+  }
+
+  async function persistWatchlists(updated, message) {
+    try {
+      await saveWatchlists(updated);
+      customWatchlists = updated;
+      renderWatchlists([fishWatchlist, ...updated]);
+      showStatus(message);
+      return true;
+    } catch (error) {
+      console.error('Error saving watchlists:', error);
+      showStatus(error.message || 'Could not save watchlists.', true);
+      return false;
+    }
+  }
+
+  async function onWatchlistSubmit(event) {
+    event.preventDefault();
+
+    const keywords = {};
+    Object.entries(watchlistKeywordInputs).forEach(([language, input]) => {
+      const list = splitList(input.value);
+      if (list.length > 0) keywords[language] = list;
+    });
+
+    const isFish = editingWatchlistId === FISH_WATCHLIST.id;
+    const candidate = {
+      id: editingWatchlistId || createId(),
+      name: isFish ? FISH_WATCHLIST.name : watchlistName.value.trim(),
+      emoji: isFish ? FISH_WATCHLIST.emoji : (watchlistEmoji.value.trim() || '🍽️'),
+      keywords,
+      wholeWords: splitList(watchlistWholeWords.value),
+      exclusions: {
+        phrases: splitList(watchlistPhrases.value),
+        negatives: splitList(watchlistNegatives.value)
+      }
+    };
+
+    const errors = validateWatchlist(candidate, isFish ? [] : customWatchlists);
+    watchlistErrors.innerHTML = '';
+    errors.forEach(error => watchlistErrors.appendChild(createEl('div', '', error)));
+    if (errors.length > 0) return;
+
+    if (isFish) {
+      try {
+        await saveFishWatchlist(candidate);
+        fishWatchlist = { ...FISH_WATCHLIST, ...candidate, builtIn: true };
+        renderWatchlists([fishWatchlist, ...customWatchlists]);
+        resetWatchlistForm();
+        showStatus('Saved fish watchlist.');
+      } catch (error) {
+        console.error('Error saving fish watchlist:', error);
+        showStatus(error.message || 'Could not save fish watchlist.', true);
+      }
+      return;
+    }
+
+    const updated = editingWatchlistId
+      ? customWatchlists.map(watchlist => (watchlist.id === editingWatchlistId ? candidate : watchlist))
+      : [...customWatchlists, candidate];
+
+    const saved = await persistWatchlists(updated, `Saved ${candidate.name} watchlist.`);
+    if (saved) resetWatchlistForm();
+  }
+
+  async function onResetFish() {
+    if (!confirm('Restore the default fish keywords and exclusions?')) return;
+
+    try {
+      fishWatchlist = await resetFishWatchlist();
+      renderWatchlists([fishWatchlist, ...customWatchlists]);
+      resetWatchlistForm();
+      showStatus('Restored default fish watchlist.');
+    } catch (error) {
+      console.error('Error resetting fish watchlist:', error);
+      showStatus('Could not reset fish watchlist.', true);
+    }
+  }
+
+  function startWatchlistEdit(watchlist) {
+    const exclusions = watchlist.exclusions || {};
+
+    editingWatchlistId = watchlist.id;
+    watchlistName.value = watchlist.name;
+    watchlistEmoji.value = watchlist.emoji || '';
+    watchlistName.disabled = Boolean(watchlist.builtIn);
+    watchlistEmoji.disabled = Boolean(watchlist.builtIn);
+    Object.entries(watchlistKeywordInputs).forEach(([language, input]) => {
+      input.value = (watchlist.keywords[language] || []).join(', ');
+    });
+    watchlistWholeWords.value = (watchlist.wholeWords || []).join(', ');
+    watchlistPhrases.value = (exclusions.phrases || []).join(', ');
+    watchlistNegatives.value = (exclusions.negatives || []).join(', ');
+    watchlistRules.open = Boolean(
+      (watchlist.wholeWords || []).length || (exclusions.phrases || []).length || (exclusions.negatives || []).length
+    );
+    watchlistFormTitle.textContent = `Edit ${watchlist.name}`;
+    saveWatchlistButton.textContent = 'Save changes';
+    cancelWatchlistButton.classList.remove('hidden');
+    resetFishButton.classList.toggle('hidden', !watchlist.builtIn);
+    watchlistName.focus();
+  }
+
+  function deleteWatchlist(watchlist) {
+    if (!confirm(`Delete the ${watchlist.name} watchlist?`)) return;
+
+    if (editingWatchlistId === watchlist.id) resetWatchlistForm();
+    persistWatchlists(customWatchlists.filter(other => other.id !== watchlist.id), `Deleted ${watchlist.name}.`);
+  }
+
+  function resetWatchlistForm() {
+    editingWatchlistId = null;
+    watchlistForm.reset();
+    watchlistName.disabled = false;
+    watchlistEmoji.disabled = false;
+    watchlistRules.open = false;
+    resetFishButton.classList.add('hidden');
+    watchlistErrors.innerHTML = '';
+    watchlistFormTitle.textContent = 'Add watchlist';
+    saveWatchlistButton.textContent = 'Add watchlist';
+    cancelWatchlistButton.classList.add('hidden');
+  }
+
+  function splitList(value) {
+    return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  }
+
+  function renderDietInputs() {
+    DIET_REQUIREMENTS.forEach(diet => {
+      const label = createEl('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = diet.tag;
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(diet.label));
+      dietRequired.appendChild(label);
+    });
+  }
+
+  async function loadDietProfile() {
+    try {
+      const dietProfile = await getDietProfile();
+      dietRequired.querySelectorAll('input').forEach(input => {
+        input.checked = dietProfile.requiredDiets.includes(input.value);
+      });
+      dietProfileForm.querySelectorAll('input[name="dietMode"]').forEach(input => {
+        input.checked = input.value === dietProfile.mode;
+      });
+    } catch (error) {
+      console.error('Error loading diet profile:', error);
+      showStatus('Could not load diet profile.', true);
+    }
+  }
+
+  async function onDietProfileSubmit(event) {
+    event.preventDefault();
+
+    const checkedMode = dietProfileForm.querySelector('input[name="dietMode"]:checked');
+    const dietProfile = {
+      requiredDiets: Array.from(dietRequired.querySelectorAll('input:checked')).map(input => input.value),
+      mode: checkedMode ? checkedMode.value : DEFAULT_DIET_PROFILE.mode
+    };
+
+    const errors = validateDietProfile(dietProfile);
+    dietProfileErrors.innerHTML = '';
+    errors.forEach(error => dietProfileErrors.appendChild(createEl('div', '', error)));
+    if (errors.length > 0) return;
+
+    try {
+      await saveDietProfile(dietProfile);
+      showStatus('Diet profile saved.');
+    } catch (error) {
+      console.error('Error saving diet profile:', error);
+      showStatus(error.message || 'Could not save diet profile.', true);
+    }
+  }
+
+  async function loadCheckOptions() {
+    try {
+      const checkOptions = await getCheckOptions();
+      checkConcurrency.value = checkOptions.concurrency;
+      checkTimeout.value = checkOptions.timeoutSeconds;
+      checkRetries.value = checkOptions.retries;
+    } catch (error) {
+      console.error('Error loading check options:', error);
+      showStatus('Could not load check options.', true);
+    }
+  }
+
+  async function onCheckOptionsSubmit(event) {
+    event.preventDefault();
+
+    const checkOptions = {
+      concurrency: Number(checkConcurrency.value),
+      timeoutSeconds: Number(checkTimeout.value),
+      retries: Number(checkRetries.value)
+    };
+
+    const errors = validateCheckOptions(checkOptions);
+    checkOptionsErrors.innerHTML = '';
+    errors.forEach(error => checkOptionsErrors.appendChild(createEl('div', '', error)));
+    if (errors.length > 0) return;
+
+    try {
+      await saveCheckOptions(checkOptions);
+      showStatus('Check options saved.');
+    } catch (error) {
+      console.error('Error saving check options:', error);
+      showStatus(error.message || 'Could not save check options.', true);
+    }
+  }
+
+  function renderWeekdayInputs() {
+    WEEKDAYS.forEach(day => {
+      const label = createEl('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = String(day.value);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(day.label));
+      scheduleWeekdays.appendChild(label);
+    });
+  }
+
+  async function loadSchedule() {
+    try {
+      const schedule = await getSchedule();
+      scheduleEnabled.checked = Boolean(schedule.enabled);
+      scheduleTime.value = schedule.time;
+      scheduleSkipDates.value = schedule.skipDates.join('\n');
+      scheduleNotifyNoFish.checked = Boolean(schedule.notifyWhenNoFish);
+      scheduleWeekdays.querySelectorAll('input').forEach(input => {
+        input.checked = schedule.weekdays.includes(Number(input.value));
+      });
+      showNextCheck(schedule);
+    } catch (error) {
+      console.error('Error loading schedule:', error);
+      showStatus('Could not load schedule.', true);
+    }
+  }
+
+  async function onScheduleSubmit(event) {
+    event.preventDefault();
+
+    const schedule = {
+      enabled: scheduleEnabled.checked,
+      time: scheduleTime.value,
+      weekdays: Array.from(scheduleWeekdays.querySelectorAll('input:checked')).map(input => Number(input.value)),
+      skipDates: scheduleSkipDates.value.split('\n').map(line => line.trim()).filter(Boolean),
+      notifyWhenNoFish: scheduleNotifyNoFish.checked
+    };
+
+    const errors = validateSchedule(schedule);
+    scheduleErrors.innerHTML = '';
+    errors.forEach(error => scheduleErrors.appendChild(createEl('div', '', error)));
+    if (errors.length > 0) return;
+
+    try {
+      await saveSchedule(schedule);
+      showNextCheck(schedule);
+      showStatus('Schedule saved.');
+    } catch (error) {
+      console.error('Error saving schedule:', error);
+      showStatus(error.message || 'Could not save schedule.', true);
+    }
+  }
+
+  function showNextCheck(schedule) {
+    const nextTime = getNextScheduledTime(schedule);
+    nextCheckElement.textContent = nextTime
+      ? `Next check: ${nextTime.toLocaleString()}`
+      : 'Automatic checks are off.';
+  }
+
+  function exportConfig() {
+    const content = JSON.stringify(buildConfigExport(restaurants, [fishWatchlist, ...customWatchlists]), null, 2);
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    const link = createEl('a');
+    link.href = url;
+    link.download = `missa-kala-config-${toDateKey(new Date())}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  async function onImportFileChange() {
+    const file = importConfigFile.files[0];
+    if (!file) return;
+    try {
+      showImportPreview(await file.text());
+    } catch (error) {
+      console.error('Error reading configuration file:', error);
+      showImportErrors(['Could not read the file']);
+    }
+  }
+
+  async function onLoadConfigUrl() {
+    const value = importConfigUrl.value.trim();
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      showImportErrors(['Enter a valid http(s) URL to import from']);
+      return;
+    }
+
+    try {
+      const granted = await chrome.permissions.request({ origins: [`${url.origin}/*`] });
+      if (!granted) {
+        showImportErrors(['Access to the URL is needed to load the configuration']);
+        return;
+      }
+
+      const response = await fetch(url.href, { signal: AbortSignal.timeout(DEFAULT_CHECK_OPTIONS.timeoutSeconds * 1000) });
+      if (!response.ok) {
+        showImportErrors([`Could not load the configuration: HTTP ${response.status}`]);
+        return;
+      }
+      showImportPreview(await response.text());
+    } catch (error) {
+      console.error('Error loading configuration URL:', error);
+      showImportErrors([`Could not load the configuration: ${error.message}`]);
+    }
+  }
+
+  function showImportPreview(text) {
+    const { config, errors } = parseConfigImport(text);
+    if (!config) {
+      showImportErrors(errors);
+      return;
+    }
+
+    importedConfig = config;
+    importErrors.innerHTML = '';
+    importPreview.classList.remove('hidden');
+    renderImportSummary();
+  }
+
+  function showImportErrors(errors) {
+    importedConfig = null;
+    importPreview.classList.add('hidden');
+    importErrors.innerHTML = '';
+    errors.forEach(error => importErrors.appendChild(createEl('div', '', error)));
+  }
+
+  function getImportPlan() {
+    const modeInput = importConfigForm.querySelector('input[name="importMode"]:checked');
+    const current = { restaurants, watchlists: customWatchlists, fishWatchlist };
+    return planConfigImport(current, importedConfig, modeInput ? modeInput.value : 'merge');
+  }
+
+  // What the import adds and skips, and what it leaves the lists looking like
+  function renderImportSummary() {
+    if (!importedConfig) return;
+    const plan = getImportPlan();
+    const list = createEl('ul');
+    const addLine = text => list.appendChild(createEl('li', '', text));
+
+    addLine(plan.addedRestaurants.length > 0
+      ? `Restaurants to add: ${plan.addedRestaurants.join(', ')}`
+      : 'No new restaurants');
+    plan.skippedRestaurants.forEach(skipped => {
+      addLine(`Skipped ${skipped.name}: same URL as ${skipped.existing}`);
+    });
+    if (plan.addedWatchlists.length > 0) {
+      addLine(`Watchlists to add: ${plan.addedWatchlists.join(', ')}`);
+    }
+    if (plan.skippedWatchlists.length > 0) {
+      addLine(`Skipped watchlists (name already used): ${plan.skippedWatchlists.join(', ')}`);
+    }
+    if (plan.addedKeywords.length > 0) {
+      addLine(`New ${FISH_WATCHLIST.name.toLowerCase()} keywords: ${plan.addedKeywords.join(', ')}`);
+    }
+    addLine(`After importing: ${plan.restaurants.length} restaurant(s), ${plan.watchlists.length} custom watchlist(s)`);
+
+    importSummary.innerHTML = '';
+    importSummary.appendChild(list);
+  }
+
+  async function onImportSubmit(event) {
+    event.preventDefault();
+    if (!importedConfig) return;
+
+    const plan = getImportPlan();
+    try {
+      // Ask for the new sites while the click still counts as a user action
+      const granted = await ensureHostPermissions(plan.restaurants);
+
+      await saveConfigImport(plan, importedConfig.fishWatchlist ? { ...fishWatchlist, ...plan.fishWatchlist } : null);
+
+      resetImport();
+      await loadRestaurants();
+      await loadWatchlists();
+      showStatus(granted
+        ? 'Configuration imported.'
+        : 'Configuration imported. Some sites need access before they can be checked; the popup asks on the next check.', !granted);
+    } catch (error) {
+      console.error('Error importing configuration:', error);
+      // Shown next to the form too; the preview stays so a smaller import can be tried
+      const message = error.message || 'Could not import the configuration.';
+      importErrors.innerHTML = '';
+      importErrors.appendChild(createEl('div', '', message));
+      showStatus(message, true);
+    }
+  }
+
+  function resetImport() {
+    importedConfig = null;
+    importConfigForm.reset();
+    importErrors.innerHTML = '';
+    importSummary.innerHTML = '';
+    importPreview.classList.add('hidden');
+  }
+
+  async function loadChatWebhook() {
+    try {
+      const chatWebhook = await getChatWebhook();
+      chatWebhookEnabled.checked = Boolean(chatWebhook.enabled);
+      chatWebhookUrl.value = chatWebhook.url;
+      chatWebhookOnSchedule.checked = Boolean(chatWebhook.postOnSchedule);
+      chatWebhookForm.querySelectorAll('input[name="chatWebhookFormat"]').forEach(input => {
+        input.checked = input.value === chatWebhook.format;
+      });
+      showChatWebhookStatus(await getChatWebhookStatus());
+    } catch (error) {
+      console.error('Error loading chat webhook:', error);
+      showStatus('Could not load team chat settings.', true);
+    }
+  }
+
+  function showChatWebhookStatus(status) {
+    if (!status.lastAttemptAt) {
+      chatWebhookStatus.textContent = 'Nothing posted yet.';
+      return;
+    }
+    const attempt = new Date(status.lastAttemptAt).toLocaleString();
+    chatWebhookStatus.textContent = status.lastError
+      ? `Last post failed (${attempt}): ${status.lastError}`
+      : `Last posted ${attempt} (menus for ${status.lastDate}).`;
+    chatWebhookStatus.classList.toggle('error', Boolean(status.lastError));
+  }
+
+  async function onChatWebhookSubmit(event) {
+    event.preventDefault();
+
+    const formatInput = chatWebhookForm.querySelector('input[name="chatWebhookFormat"]:checked');
+    const chatWebhook = {
+      enabled: chatWebhookEnabled.checked,
+      url: chatWebhookUrl.value.trim(),
+      format: formatInput ? formatInput.value : '',
+      postOnSchedule: chatWebhookOnSchedule.checked
+    };
+
+    const errors = validateChatWebhook(chatWebhook);
+    chatWebhookErrors.innerHTML = '';
+    errors.forEach(error => chatWebhookErrors.appendChild(createEl('div', '', error)));
+    if (errors.length > 0) return;
+
+    try {
+      // The service worker can only post to origins it has access to
+      if (chatWebhook.enabled) {
+        const granted = await chrome.permissions.request({ origins: [`${new URL(chatWebhook.url).origin}/*`] });
+        if (!granted) {
+          showStatus('Access to the webhook URL is needed to post to chat.', true);
+          return;
+        }
+      }
+
+      await saveChatWebhook(chatWebhook);
+      showStatus('Team chat settings saved.');
+    } catch (error) {
+      console.error('Error saving chat webhook:', error);
+      showStatus(error.message || 'Could not save team chat settings.', true);
+    }
+  }
+
+  async function loadHistoryStats() {
+    try {
+      renderHistoryStats(getHistoryStatistics(await loadMenuHistory()));
+    } catch (error) {
+      console.error('Error loading history:', error);
+      showStatus('Could not load fish history.', true);
+    }
+  }
+
+  // Fish days per weekday (only weekdays with any checks), the most common
+  // fish dishes and each restaurant's fish streaks
+  function renderHistoryStats(stats) {
+    historyStats.innerHTML = '';
+    if (stats.restaurants.length === 0) {
+      historyStats.appendChild(createEl('p', 'hint', 'No history yet. Check the menus from the popup to start collecting it.'));
+      return;
+    }
+
+    const weekdays = WEEKDAYS.filter(day => stats.restaurants.some(restaurant => restaurant.byWeekday[day.value].days > 0));
+    const table = createEl('table', 'history-table');
+    const headRow = createEl('tr');
+    headRow.appendChild(createEl('th', '', 'Restaurant'));
+    weekdays.forEach(day => headRow.appendChild(createEl('th', '', day.label)));
+    headRow.appendChild(createEl('th', '', 'Total'));
+    table.appendChild(headRow);
+
+    stats.restaurants.forEach(restaurant => {
+      const row = createEl('tr');
+      row.appendChild(createEl('td', '', restaurant.name));
+      weekdays.forEach(day => {
+        row.appendChild(createFrequencyCell(restaurant.byWeekday[day.value], `${day.label}s`));
+      });
+      row.appendChild(createFrequencyCell(restaurant, 'checked days'));
+      table.appendChild(row);
+    });
+    historyStats.appendChild(table);
+
+    if (stats.topDishes.length > 0) {
+      historyStats.appendChild(createEl('h3', '', 'Most common fish dishes'));
+      const list = createEl('ol', 'history-dishes');
+      stats.topDishes.forEach(dish => list.appendChild(createEl('li', '', `${dish.name} (${dish.count}×)`)));
+      historyStats.appendChild(list);
+    }
+
+    historyStats.appendChild(createEl('h3', '', 'Streaks'));
+    const streaks = createEl('ul', 'history-streaks');
+    stats.restaurants.forEach(restaurant => {
+      streaks.appendChild(createEl('li', '',
+        `${restaurant.name}: ${restaurant.currentStreak} checked day(s) in a row with fish now, longest ${restaurant.longestStreak}`));
+    });
+    historyStats.appendChild(streaks);
+  }
+
+  function createFrequencyCell(counts, unit) {
+    if (counts.days === 0) return createEl('td', 'history-empty', '–');
+    const percent = Math.round((counts.matchDays / counts.days) * 100);
+    const cell = createEl('td', '', `${percent}%`);
+    cell.title = `Fish on ${counts.matchDays} of ${counts.days} ${unit}`;
+    return cell;
+  }
+
+  async function exportHistory(format) {
+    try {
+      const history = await loadMenuHistory();
+      const content = format === 'csv' ? historyToCsv(history) : historyToJson(history);
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = createEl('a');
+      link.href = url;
+      link.download = `missa-kala-history-${toDateKey(new Date())}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url));
+    } catch (error) {
+      console.error('Error exporting history:', error);
+      showStatus('Could not export fish history.', true);
+    }
+  }
+
+  function showStatus(message, isError = false) {
+    statusElement.textContent = message;
+    statusElement.classList.toggle('error', isError);
+  }
+
+  function createButton(label, title, disabled, onClick) {
+    const button = createEl('button', '', label);
+    button.type = 'button';
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null) el.textContent = text;
+    return el;
+  }
+});
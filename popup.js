@@ -5,54 +5,370 @@ document.addEventListener('DOMContentLoaded', function() {
   const loading = document.getElementById('loading');
   const resultsContainer = document.getElementById('results');
   const lastCheckedElement = document.getElementById('lastChecked');
+  const optionsButton = document.getElementById('openOptions');
+  const cancelButton = document.getElementById('cancelCheck');
+  const watchlistSelect = document.getElementById('watchlistSelect');
+  const todayTab = document.getElementById('tabToday');
+  const weekTab = document.getElementById('tabWeek');
+  const weekView = document.getElementById('weekView');
+  const targetDateInput = document.getElementById('targetDate');
+  const quickDateButtons = Array.from(document.querySelectorAll('.date-quick'));
+  const addPageButton = document.getElementById('addPage');
+  const previewContainer = document.getElementById('preview');
+  const chatPost = document.getElementById('chatPost');
+  const exportMenu = document.getElementById('exportMenu');
+  const exportFormats = document.getElementById('exportFormats');
+  const exportStatus = document.getElementById('exportStatus');
+  const postToChatButton = document.getElementById('postToChat');
+  const chatPostStatus = document.getElementById('chatPostStatus');
+
+  // Stage labels for restaurants whose check is still running
+  const STAGE_LABELS = {
+    queued: 'Waiting...',
+    started: 'Starting...',
+    fetching: 'Fetching menu...',
+    rendering: 'Rendering in hidden tab...',
+    retrying: 'Retrying after a temporary failure...',
+    done: 'Done'
+  };
+
+  // How the engine found the day's menu, for the "Why this result?" panel
+  const METHOD_LABELS = {
+    'day-header': 'Heading with the day name',
+    'date-match': 'Line with the date',
+    'single-day-header': 'Only day heading on the page',
+    'day-inline': 'Day name inside a line',
+    'full-page-fallback': 'Whole page (the day\'s section had no match)',
+    'full-page': 'Whole page (no day section found)',
+    'day-not-found': 'No section for the day',
+    'rules-container': 'Extraction rules: whole container',
+    'rules-day-heading': 'Extraction rules: day heading'
+  };
+
+  const MODE_LABELS = {
+    api: 'Menu API',
+    fetch: 'Fetched page',
+    'hidden-tab': 'Rendered in a hidden tab',
+    'open-tab': 'Text of the open tab'
+  };
+
+  const STRATEGY_LABELS = {
+    detected: 'Chosen from the page',
+    learned: 'What worked last time',
+    override: 'Set for this restaurant'
+  };
+
+  // Why a fetched page was also rendered in a hidden tab (see checkRestaurantMenu)
+  const RENDER_REASON_LABELS = {
+    'worse-than-learned': 'The page read worse than last time',
+    'looks-like-app': 'The page looks like a JS app',
+    'weak-static-text': 'Today\'s menu was not found for sure'
+  };
+
+  // Export formats offered under "Export results" (see result-export.js)
+  const EXPORT_FORMATS = [
+    { id: 'markdown', label: 'Markdown (chat)', extension: 'md', type: 'text/markdown' },
+    { id: 'text', label: 'Plain text (email)', extension: 'txt', type: 'text/plain' },
+    { id: 'json', label: 'JSON (scripts)', extension: 'json', type: 'application/json' }
+  ];
+
+  // Short weekday labels, indexed by Date.getDay()
+  const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  let checkRunning = false;
+  let watchlists = [FISH_WATCHLIST];
+  let selectedWatchlist = FISH_WATCHLIST;
+  let dietProfile = DEFAULT_DIET_PROFILE;
+  let currentResults = null;
+  let activeTab = 'today';
+  // Day to check next, and the day the shown results are for ('YYYY-MM-DD')
+  let targetDateKey = toDateKey(new Date());
+  let resultsDateKey = targetDateKey;
+  // Day the background reported as already posted; the next click for it posts anyway
+  let chatPostForcedFor = null;
 
   // Show initial empty state
   showEmptyState();
 
   // Check menus when button is clicked
   checkButton.addEventListener('click', checkAllMenus);
+  optionsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  addPageButton.addEventListener('click', addCurrentPage);
+  postToChatButton.addEventListener('click', postToChat);
+  cancelButton.addEventListener('click', cancelCheck);
+  watchlistSelect.addEventListener('change', onWatchlistChange);
+  todayTab.addEventListener('click', () => showTab('today'));
+  weekTab.addEventListener('click', () => showTab('week'));
+  quickDateButtons.forEach(button => {
+    button.addEventListener('click', () => setTargetDate(getQuickDateKey(button.dataset.day)));
+  });
+  targetDateInput.addEventListener('change', () => {
+    if (parseDateKey(targetDateInput.value)) setTargetDate(targetDateInput.value);
+  });
+  setTargetDate(targetDateKey);
+  renderExportFormats();
 
-  // Load cached results if available
-  loadCachedResults();
+  // Long-lived connection to the background worker for progress updates.
+  // If a check is already running, the first message reattaches us to it.
+  const port = chrome.runtime.connect({ name: 'menu-check' });
+  port.onMessage.addListener(onCheckEvent);
+
+  // Load watchlists first so cached cards render for the chosen one
+  loadWatchlists().then(loadCachedResults).then(loadRestaurantPreview);
+  getChatWebhook().then(chatWebhook => chatPost.classList.toggle('hidden', !chatWebhook.enabled));
+
+  async function loadWatchlists() {
+    try {
+      watchlists = await getWatchlists();
+      const data = await chrome.storage.local.get('selectedWatchlist');
+      selectedWatchlist = watchlists.find(watchlist => watchlist.id === data.selectedWatchlist) || FISH_WATCHLIST;
+      dietProfile = await getDietProfile();
+    } catch (error) {
+      console.error('Error loading watchlists:', error);
+    }
+
+    watchlistSelect.innerHTML = '';
+    watchlists.forEach(watchlist => {
+      const option = createEl('option', '', `${watchlist.emoji} ${watchlist.name}`);
+      option.value = watchlist.id;
+      option.selected = watchlist.id === selectedWatchlist.id;
+      watchlistSelect.appendChild(option);
+    });
+    watchlistSelect.classList.toggle('hidden', watchlists.length < 2);
+  }
+
+  function onWatchlistChange() {
+    selectedWatchlist = watchlists.find(watchlist => watchlist.id === watchlistSelect.value) || FISH_WATCHLIST;
+    chrome.storage.local.set({ selectedWatchlist: selectedWatchlist.id });
+
+    if (currentResults && !checkRunning) {
+      displayResults(currentResults);
+    }
+    if (activeTab === 'week') {
+      renderWeekView();
+    }
+  }
+
+  function getQuickDateKey(day) {
+    const date = new Date();
+    if (day === 'tomorrow') {
+      date.setDate(date.getDate() + 1);
+    } else if (day === 'friday') {
+      // The coming Friday; on a Friday, next week's
+      date.setDate(date.getDate() + ((5 - date.getDay() + 7) % 7 || 7));
+    }
+    return toDateKey(date);
+  }
+
+  function setTargetDate(dateKey) {
+    targetDateKey = dateKey;
+    targetDateInput.value = dateKey;
+    quickDateButtons.forEach(button => {
+      button.classList.toggle('active', getQuickDateKey(button.dataset.day) === dateKey);
+    });
+
+    const isToday = dateKey === toDateKey(new Date());
+    checkButton.textContent = isToday ? 'Check All Restaurants' : `Check for ${describeDate(dateKey)}`;
+  }
+
+  // 'today', 'tomorrow' or a short day like 'Fri 17.10.'
+  function describeDate(dateKey) {
+    const date = parseDateKey(dateKey);
+    if (!date) return 'today';
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (dateKey === toDateKey(new Date())) return 'today';
+    if (dateKey === toDateKey(tomorrow)) return 'tomorrow';
+    return `${WEEKDAY_LABELS[date.getDay()]} ${date.getDate()}.${date.getMonth() + 1}.`;
+  }
+
+  function showTab(tab) {
+    activeTab = tab;
+    todayTab.classList.toggle('active', tab === 'today');
+    weekTab.classList.toggle('active', tab === 'week');
+    resultsContainer.classList.toggle('hidden', tab !== 'today');
+    weekView.classList.toggle('hidden', tab !== 'week');
+
+    if (tab === 'week') {
+      renderWeekView();
+    }
+  }
+
+  // Restaurant x weekday grid from the per-date menus stored by the background.
+  // Weekend columns only appear when some restaurant has a weekend menu.
+  async function renderWeekView() {
+    let restaurants = [];
+    let weekMenus = {};
+    try {
+      restaurants = (await getRestaurants()).filter(restaurant => restaurant.enabled !== false);
+      weekMenus = (await chrome.storage.local.get('weekMenus')).weekMenus || {};
+    } catch (error) {
+      console.error('Error loading week menus:', error);
+    }
+
+    weekView.innerHTML = '';
+    const todayKey = toDateKey(new Date());
+    const days = getWeekDates()
+      .map(date => ({ date, key: toDateKey(date) }))
+      .filter(day => day.date.getDay() % 6 !== 0 || weekMenus[day.key]);
+
+    if (!days.some(day => weekMenus[day.key])) {
+      weekView.appendChild(createEl('div', 'empty-state', 'Check menus to fill in this week\'s grid.'));
+      return;
+    }
+
+    const table = createEl('table', 'week-grid');
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(createEl('th', '', 'Restaurant'));
+    days.forEach(day => {
+      headerRow.appendChild(createEl('th', day.key === todayKey ? 'today' : '', WEEKDAY_LABELS[day.date.getDay()]));
+    });
+    table.appendChild(headerRow);
+
+    restaurants.forEach(restaurant => {
+      const row = document.createElement('tr');
+      row.appendChild(createEl('td', '', restaurant.name));
+      days.forEach(day => {
+        const entry = weekMenus[day.key] && weekMenus[day.key][restaurant.id];
+        const cell = createWeekCell(entry);
+        if (day.key === todayKey) cell.classList.add('today');
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+
+    weekView.appendChild(table);
+    weekView.appendChild(createEl('p', 'week-legend',
+      `${selectedWatchlist.emoji} ${selectedWatchlist.name} · 🚫 not for your diet · – none · blank: no menu found`));
+  }
+
+  function createWeekCell(entry) {
+    if (!entry) {
+      return createEl('td', 'no-menu', '');
+    }
+
+    const matches = entry.dishes.filter(dish => dish.watchlists.includes(selectedWatchlist.id));
+    const fitting = matches.filter(dish => dishFitsDietProfile(dish, dietProfile));
+
+    if (matches.length === 0) {
+      return createEl('td', '', '–');
+    }
+
+    const cell = createEl('td', 'day-match', fitting.length > 0 ? selectedWatchlist.emoji : '🚫');
+    cell.title = (fitting.length > 0 ? fitting : matches).map(getDishName).join('\n');
+    return cell;
+  }
+
+  // Dishes of one result matching a watchlist (older cached results only have fishItems)
+  function getWatchlistMatches(result, watchlist) {
+    if (Array.isArray(result.dishes)) {
+      return result.dishes.filter(dish => dish.watchlists.includes(watchlist.id));
+    }
+    const items = watchlist.id === FISH_WATCHLIST.id ? (result.fishItems || []) : [];
+    return items.map(text => ({ text }));
+  }
 
   async function checkAllMenus() {
-    // Disable button and show loading
-    checkButton.disabled = true;
-    loading.classList.remove('hidden');
+    const hasPermissions = await ensureHostPermissions();
+    if (!hasPermissions) {
+      showError('Missing permissions to access restaurant sites. Please allow access and try again.');
+      return;
+    }
+
+    // Cards are reset when the background announces the check has started
+    setCheckRunning(true);
+    port.postMessage({ action: 'checkMenus', date: targetDateKey });
+  }
+
+  function cancelCheck() {
+    cancelButton.disabled = true;
+    port.postMessage({ action: 'cancelCheck' });
+  }
+
+  function onCheckEvent(event) {
+    switch (event.type) {
+      case 'checkState':
+        if (event.running) {
+          setCheckRunning(true);
+          resultsDateKey = event.date || resultsDateKey;
+          renderPendingCards(event.restaurants, event.stages);
+          (event.results || []).forEach(result => {
+            if (result) showResultCard(result);
+          });
+        }
+        break;
+      case 'checkStarted':
+        setCheckRunning(true);
+        resultsDateKey = event.date || resultsDateKey;
+        renderPendingCards(event.restaurants, {});
+        break;
+      case 'progress':
+        updatePendingStage(event.restaurantId, event.stage);
+        break;
+      case 'result':
+        showResultCard(event.result);
+        break;
+      case 'checkDone':
+        setCheckRunning(false);
+        displayResults(event.results);
+        if (!event.cancelled) updateTimestamp();
+        if (activeTab === 'week') renderWeekView();
+        break;
+      case 'checkError':
+        setCheckRunning(false);
+        console.error('Error checking menus:', event.error);
+        showError('An error occurred. Please try again.');
+        break;
+    }
+  }
+
+  function setCheckRunning(running) {
+    checkRunning = running;
+    checkButton.disabled = running;
+    cancelButton.disabled = !running;
+    loading.classList.toggle('hidden', !running);
+  }
+
+  // One placeholder card per restaurant, replaced as each result arrives
+  function renderPendingCards(restaurants, stages) {
     resultsContainer.innerHTML = '';
 
-    try {
-      const hasPermissions = await ensureHostPermissions();
-      if (!hasPermissions) {
-        showError('Missing permissions to access restaurant sites. Please allow access and try again.');
-        return;
-      }
+    (restaurants || []).forEach(restaurant => {
+      const card = createEl('div', 'restaurant-card pending');
+      card.dataset.restaurantId = restaurant.id;
+      card.appendChild(createNameRow('⏳', restaurant.name));
+      card.appendChild(createEl('div', 'restaurant-details stage', STAGE_LABELS[stages[restaurant.id] || 'queued']));
+      resultsContainer.appendChild(card);
+    });
+  }
 
-      // Send message to background script to check menus
-      const response = await chrome.runtime.sendMessage({ action: 'checkMenus' });
+  function findPendingCard(restaurantId) {
+    return Array.from(resultsContainer.children).find(card => card.dataset.restaurantId === restaurantId);
+  }
 
-      if (response && response.results) {
-        displayResults(response.results);
-        updateTimestamp();
+  function updatePendingStage(restaurantId, stage) {
+    const card = findPendingCard(restaurantId);
+    const stageElement = card && card.querySelector('.stage');
+    if (stageElement) {
+      stageElement.textContent = STAGE_LABELS[stage] || stage;
+    }
+  }
 
-        // Cache results
-        chrome.storage.local.set({
-          lastResults: response.results,
-          lastChecked: new Date().toISOString()
-        });
-      } else {
-        showError('Failed to check menus. Please try again.');
-      }
-    } catch (error) {
-      console.error('Error checking menus:', error);
-      showError('An error occurred. Please try again.');
-    } finally {
-      checkButton.disabled = false;
-      loading.classList.add('hidden');
+  function showResultCard(result) {
+    const card = createRestaurantCard(result);
+    const pending = findPendingCard(result.id);
+
+    if (pending) {
+      pending.replaceWith(card);
+    } else {
+      resultsContainer.appendChild(card);
     }
   }
 
   function displayResults(results) {
+    currentResults = results;
+    exportMenu.classList.toggle('hidden', !results || results.length === 0);
     resultsContainer.innerHTML = '';
 
     if (!results || results.length === 0) {
@@ -60,12 +376,14 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    // Sort results: fish first, then no fish, then errors
-    const sorted = [...results].sort((a, b) => {
-      if (a.hasFish && !b.hasFish) return -1;
-      if (!a.hasFish && b.hasFish) return 1;
-      return 0;
-    });
+    // Sort results: matches that fit the diet profile first, then matches
+    // that don't ("not for you"), then the rest
+    const rank = result => {
+      const matches = getWatchlistMatches(result, selectedWatchlist);
+      if (matches.some(dish => dishFitsDietProfile(dish, dietProfile))) return 0;
+      return matches.length > 0 ? 1 : 2;
+    };
+    const sorted = [...results].sort((a, b) => rank(a) - rank(b));
 
     sorted.forEach(result => {
       const card = createRestaurantCard(result);
@@ -73,27 +391,76 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  function createRestaurantCard(result) {
+  // dateKey is the day the result is for (default: the shown results' day)
+  function createRestaurantCard(result, dateKey = resultsDateKey) {
     const card = document.createElement('div');
     card.className = 'restaurant-card';
 
     // Get confidence info
     const confidence = result.confidence || { dayDetection: 'unknown', method: 'unknown' };
     const confidenceInfo = getConfidenceInfo(confidence);
+    const watchlist = selectedWatchlist;
+    const matches = getWatchlistMatches(result, watchlist);
+    const fitting = matches.filter(dish => dishFitsDietProfile(dish, dietProfile));
+    const unfit = matches.filter(dish => !fitting.includes(dish));
+    const profileLabel = dietProfile.requiredDiets.join(', ');
 
-    if (result.error) {
-      card.classList.add('error');
-      const nameRow = createNameRow('❌', result.name);
-      const errorMessage = createEl('div', 'error-message', result.error || 'Unknown error');
-      const details = createEl('div', 'restaurant-details');
-      details.appendChild(createLink(result.url, 'Visit website'));
+    if (result.cancelled) {
+      card.classList.add('cancelled');
+      card.appendChild(createNameRow('⏹️', result.name));
+      card.appendChild(createEl('div', 'restaurant-details', 'Check cancelled'));
+    } else if (result.error) {
+      const info = getErrorInfo(result);
+      card.classList.add(result.timedOut ? 'timeout' : 'error');
+      const nameRow = createNameRow(info.icon, result.name);
+      const errorMessage = createEl('div', 'error-message', info.title);
+      errorMessage.title = result.error;
+      const hint = result.attempts > 1 ? `${info.hint} Tried ${result.attempts} times.` : info.hint;
+      const details = createEl('div', 'restaurant-details', hint);
+      const actions = createEl('div', 'restaurant-details error-actions');
+      const actionButton = createErrorAction(info.action);
+      if (actionButton) actions.appendChild(actionButton);
+      actions.appendChild(createLink(result.url, 'Visit website'));
 
       card.appendChild(nameRow);
       card.appendChild(errorMessage);
       card.appendChild(details);
-    } else if (result.hasFish) {
-      card.classList.add('has-fish');
-      const nameRow = createNameRow('🐟', result.name);
+      card.appendChild(actions);
+    } else if (result.dayNotFound) {
+      card.classList.add('no-match');
+      card.appendChild(createNameRow('📅', result.name));
+      card.appendChild(createEl('div', 'restaurant-details', `No menu found for ${describeDate(dateKey)}`));
+      const linkDetails = createEl('div', 'restaurant-details');
+      linkDetails.appendChild(createLink(result.url, 'Check manually'));
+      card.appendChild(linkDetails);
+    } else if (matches.length > 0 && fitting.length === 0) {
+      card.classList.add('not-for-you');
+      const nameRow = createNameRow('🚫', result.name);
+      appendOtherWatchlistChips(nameRow, result);
+      const details = createEl('div', 'restaurant-details');
+      const strong = document.createElement('strong');
+      strong.textContent = `${watchlist.name}, but not for you`;
+      details.appendChild(strong);
+      details.appendChild(document.createTextNode(` - no dish marked ${profileLabel}`));
+
+      card.appendChild(nameRow);
+      card.appendChild(details);
+
+      if (dietProfile.mode === 'demote') {
+        const items = createEl('div', 'fish-items');
+        unfit.forEach(dish => {
+          items.appendChild(createDishItem(dish, true));
+        });
+        card.appendChild(items);
+      }
+
+      const linkDetails = createEl('div', 'restaurant-details');
+      linkDetails.appendChild(createLink(result.url, 'Check manually'));
+      card.appendChild(linkDetails);
+    } else if (matches.length > 0) {
+      card.classList.add('has-match');
+      const nameRow = createNameRow(watchlist.emoji, result.name);
+      appendOtherWatchlistChips(nameRow, result);
       if (confidenceInfo.showWarning) {
         const badge = createEl('span', 'confidence-badge', confidenceInfo.badge);
         badge.title = confidenceInfo.tooltip;
@@ -102,20 +469,26 @@ document.addEventListener('DOMContentLoaded', function() {
 
       const details = createEl('div', 'restaurant-details');
       const strong = document.createElement('strong');
-      strong.textContent = 'Fish found!';
+      strong.textContent = `${watchlist.name} found!`;
       details.appendChild(strong);
-      details.appendChild(document.createTextNode(` ${result.fishItems.length} item(s)`));
+      details.appendChild(document.createTextNode(` ${fitting.length} item(s)`));
+      if (unfit.length > 0 && dietProfile.mode === 'hide') {
+        details.appendChild(document.createTextNode(`, ${unfit.length} hidden by your diet profile`));
+      }
 
       card.appendChild(nameRow);
       card.appendChild(details);
 
-      if (Array.isArray(result.fishItems) && result.fishItems.length > 0) {
-        const items = createEl('div', 'fish-items');
-        result.fishItems.forEach(item => {
-          items.appendChild(createEl('div', 'fish-item', item));
+      const items = createEl('div', 'fish-items');
+      fitting.forEach(dish => {
+        items.appendChild(createDishItem(dish));
+      });
+      if (dietProfile.mode === 'demote') {
+        unfit.forEach(dish => {
+          items.appendChild(createDishItem(dish, true));
         });
-        card.appendChild(items);
       }
+      card.appendChild(items);
 
       if (confidenceInfo.showWarning) {
         card.appendChild(createEl('div', 'confidence-warning', confidenceInfo.warning));
@@ -126,9 +499,13 @@ document.addEventListener('DOMContentLoaded', function() {
       linkDetails.appendChild(createLink(result.url, 'View full menu'));
       card.appendChild(linkDetails);
     } else {
-      card.classList.add('no-fish');
+      card.classList.add('no-match');
       const nameRow = createNameRow('⚪', result.name);
-      const details = createEl('div', 'restaurant-details', 'No fish found in today\'s menu');
+      appendOtherWatchlistChips(nameRow, result);
+      const menuName = dateKey === toDateKey(new Date())
+        ? 'today\'s menu'
+        : `the menu for ${describeDate(dateKey)}`;
+      const details = createEl('div', 'restaurant-details', `No ${watchlist.name.toLowerCase()} found in ${menuName}`);
       const linkDetails = createEl('div', 'restaurant-details');
       linkDetails.appendChild(createLink(result.url, 'Check manually'));
 
@@ -137,8 +514,212 @@ document.addEventListener('DOMContentLoaded', function() {
       card.appendChild(linkDetails);
     }
 
+    // Results checked before today may be out of date
+    if (result.checkedAt && isStale(result.checkedAt)) {
+      card.classList.add('stale');
+      card.appendChild(createEl('div', 'stale-note', `Checked ${formatCheckedAt(new Date(result.checkedAt))} - may be out of date`));
+    }
+
+    // Results cached before diagnostics were recorded have none
+    if (!result.cancelled && !result.error && result.diagnostics) {
+      card.appendChild(createDiagnosticsPanel(result));
+    }
+
     return card;
   }
+
+  // Collapsed by default: fetch mode, SPA verdict, day detection strategy,
+  // the keyword behind each line and the text that was searched
+  function createDiagnosticsPanel(result) {
+    const diagnostics = result.diagnostics;
+    const panel = createEl('details', 'diagnostics');
+    panel.appendChild(createEl('summary', '', 'Why this result?'));
+
+    const facts = createEl('dl', 'diagnostics-facts');
+    const addFact = (label, value) => {
+      facts.appendChild(createEl('dt', '', label));
+      facts.appendChild(createEl('dd', '', value));
+    };
+
+    const mode = MODE_LABELS[diagnostics.mode] || diagnostics.mode || 'Unknown';
+    addFact('Mode', diagnostics.adapter ? `${mode} (${diagnostics.adapter})` : mode);
+    if (diagnostics.strategy) addFact('Mode chosen by', STRATEGY_LABELS[diagnostics.strategy] || diagnostics.strategy);
+    if (typeof diagnostics.textLength === 'number') addFact('Text read', `${diagnostics.textLength} characters`);
+    if (typeof diagnostics.looksLikeSPA === 'boolean') {
+      addFact('Looks like a JS app', diagnostics.looksLikeSPA ? 'Yes' : 'No');
+    }
+    const method = diagnostics.method || 'unknown';
+    addFact('Day detection', METHOD_LABELS[method] ? `${METHOD_LABELS[method]} (${method})` : method);
+    if (diagnostics.revalidated) addFact('Cache', 'Page unchanged (304), cached result reused');
+    if (diagnostics.renderReason) {
+      addFact('Rendered because', RENDER_REASON_LABELS[diagnostics.renderReason] || diagnostics.renderReason);
+    }
+    if (diagnostics.adapterError) addFact('Menu API failed', diagnostics.adapterError);
+    if (diagnostics.renderError) addFact('Rendering failed', diagnostics.renderError);
+    if (diagnostics.renderReady) addFact('Read rendered page', describeRenderReady(diagnostics.renderReady));
+    panel.appendChild(facts);
+
+    const dishes = result.dishes || [];
+    if (dishes.length > 0) {
+      panel.appendChild(createEl('div', 'diagnostics-heading', 'Matched lines'));
+      const lines = createEl('ul', 'diagnostics-lines');
+      dishes.forEach(dish => {
+        const line = createEl('li', '', dish.text);
+        line.appendChild(createEl('span', 'diagnostics-reason', describeDishMatch(dish)));
+        lines.appendChild(line);
+      });
+      panel.appendChild(lines);
+    }
+
+    panel.appendChild(createEl('div', 'diagnostics-heading', 'Searched text'));
+    panel.appendChild(createEl('pre', 'diagnostics-section', diagnostics.section || '(empty)'));
+
+    return panel;
+  }
+
+  function describeRenderReady(ready) {
+    const seconds = (ready.waitedMs / 1000).toFixed(1);
+    if (ready.reason === 'selector') return `when the wait-for selector appeared (${seconds} s)`;
+    if (ready.reason === 'settled') return `when the page stopped changing (${seconds} s)`;
+    return `after waiting the longest allowed time (${seconds} s)`;
+  }
+
+  // "🐟 lohi; 🥦 excluded by "kalakastike"" per watchlist
+  function describeDishMatch(dish) {
+    const parts = [];
+    watchlists.forEach(watchlist => {
+      const keyword = dish.matchedBy && dish.matchedBy[watchlist.id];
+      const exclusion = dish.excludedBy && dish.excludedBy[watchlist.id];
+      if (keyword) parts.push(`${watchlist.emoji} ${keyword}`);
+      if (exclusion) parts.push(`${watchlist.emoji} excluded by "${exclusion}"`);
+    });
+    return parts.join('; ');
+  }
+
+  // Wording and suggested action ('retry', 'grant', 'edit' or none) per error class.
+  // Results cached before errors were classified only have timedOut.
+  function getErrorInfo(result) {
+    const type = result.errorType || (result.timedOut ? 'timeout' : 'unknown');
+    const status = result.httpStatus;
+
+    switch (type) {
+      case 'network':
+        return { icon: '📡', title: 'Could not reach the site', hint: 'Check your connection, or the site may be down.', action: 'retry' };
+      case 'timeout':
+        return { icon: '⏱️', title: 'Timed out', hint: 'The site may be slow right now.', action: 'retry' };
+      case 'permission':
+        return { icon: '🔒', title: 'No access to this site', hint: 'Missa Kala needs your permission to read it.', action: 'grant' };
+      case 'render':
+        return { icon: '🖥️', title: 'Could not render the page', hint: 'The menu is built by JavaScript and the hidden tab failed.', action: 'retry' };
+      case 'empty':
+        return { icon: '📄', title: 'No menu text on the page', hint: 'The menu may be an image or PDF, or the address may be wrong.', action: 'edit' };
+      case 'http':
+        if (status === 404 || status === 410) {
+          return { icon: '🔗', title: `Menu page not found (HTTP ${status})`, hint: 'The menu may have moved. Update the restaurant address.', action: 'edit' };
+        }
+        if (status === 401 || status === 403) {
+          return { icon: '🚧', title: `The site refused access (HTTP ${status})`, hint: 'It may block automated requests. Check it manually.', action: null };
+        }
+        if (status === 429) {
+          return { icon: '🐢', title: 'Too many requests (HTTP 429)', hint: 'Wait a minute before trying again.', action: 'retry' };
+        }
+        if (status >= 500) {
+          return { icon: '🛠️', title: `The site is having problems (HTTP ${status})`, hint: 'Try again later.', action: 'retry' };
+        }
+        return { icon: '❌', title: `The site answered HTTP ${status}`, hint: '', action: 'retry' };
+      default:
+        return { icon: '❌', title: result.error || 'Unknown error', hint: '', action: 'retry' };
+    }
+  }
+
+  function createErrorAction(action) {
+    const labels = { retry: 'Try again', grant: 'Grant access', edit: 'Edit restaurant' };
+    if (!labels[action]) return null;
+
+    const button = createEl('button', 'btn-link', labels[action]);
+    button.addEventListener('click', () => {
+      if (action === 'edit') {
+        chrome.runtime.openOptionsPage();
+      } else if (action === 'grant') {
+        grantAccessAndRetry();
+      } else {
+        retryFailed();
+      }
+    });
+    return button;
+  }
+
+  // Failed restaurants aren't cached, so a stale-only check re-runs just those
+  function retryFailed() {
+    if (checkRunning) return;
+    setCheckRunning(true);
+    port.postMessage({ action: 'checkMenus', date: resultsDateKey, onlyStale: true });
+  }
+
+  async function grantAccessAndRetry() {
+    if (await ensureHostPermissions()) {
+      retryFailed();
+    }
+  }
+
+  function isStale(checkedAt) {
+    return toDateKey(new Date(checkedAt)) !== toDateKey(new Date());
+  }
+
+  // "10:31" today, "Mon 12.10. 10:31" on earlier days
+  function formatCheckedAt(date) {
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (!isStale(date)) return time;
+    return `${WEEKDAY_LABELS[date.getDay()]} ${date.getDate()}.${date.getMonth() + 1}. ${time}`;
+  }
+
+  // Small emoji chips for the other watchlists this restaurant matched
+  function appendOtherWatchlistChips(nameRow, result) {
+    watchlists
+      .filter(watchlist => watchlist.id !== selectedWatchlist.id)
+      .forEach(watchlist => {
+        const matches = getWatchlistMatches(result, watchlist);
+        if (matches.length === 0) return;
+        const chip = createEl('span', 'watchlist-chip', watchlist.emoji);
+        chip.title = `${watchlist.name}: ${matches.map(getDishName).join(', ')}`;
+        nameRow.appendChild(chip);
+      });
+  }
+
+  // Name and price on the first row, then the description and diet chips.
+  // Dishes cached before structured records only have text.
+  // unfit greys out a dish that doesn't meet the diet profile.
+  function createDishItem(dish, unfit) {
+    const item = createEl('div', 'fish-item');
+    if (unfit) {
+      item.classList.add('dish-unfit');
+      item.title = `Not marked ${dietProfile.requiredDiets.join(', ')}`;
+    }
+    const header = createEl('div', 'dish-header');
+    header.appendChild(createEl('span', 'dish-name', getDishName(dish)));
+    if (dish.price) {
+      header.appendChild(createEl('span', 'dish-price', dish.price.text));
+    }
+    item.appendChild(header);
+
+    if (dish.description) {
+      item.appendChild(createEl('div', 'dish-description', dish.description));
+    }
+
+    if (Array.isArray(dish.diets) && dish.diets.length > 0) {
+      const tags = createEl('div', 'diet-tags');
+      dish.diets.forEach(tag => {
+        tags.appendChild(createEl('span', 'diet-chip', tag));
+      });
+      item.appendChild(tags);
+    }
+
+    return item;
+  }
+
+  function getDishName(dish) {
+    return dish.name || dish.text;
+  }
 
   function getConfidenceInfo(confidence) {
     const dayDetection = confidence.dayDetection || 'unknown';
@@ -168,13 +749,176 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  async function postToChat() {
+    postToChatButton.disabled = true;
+    chatPostStatus.classList.remove('error');
+    chatPostStatus.textContent = 'Posting...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'postToChat', date: resultsDateKey, force: chatPostForcedFor === resultsDateKey });
+      if (response.error) {
+        chatPostStatus.textContent = response.error;
+        chatPostStatus.classList.add('error');
+      } else if (response.alreadyPosted) {
+        chatPostForcedFor = resultsDateKey;
+        chatPostStatus.textContent = `Already posted for ${describeDate(resultsDateKey)}. Click again to post anyway.`;
+      } else {
+        chatPostForcedFor = null;
+        chatPostStatus.textContent = 'Posted ✓';
+      }
+    } catch (error) {
+      chatPostStatus.textContent = error.message;
+      chatPostStatus.classList.add('error');
+    } finally {
+      postToChatButton.disabled = false;
+    }
+  }
+
+  function renderExportFormats() {
+    EXPORT_FORMATS.forEach(format => {
+      const row = createEl('div', 'export-row');
+      row.appendChild(createEl('span', 'export-label', format.label));
+      const copyButton = createEl('button', 'btn-link', 'Copy');
+      copyButton.addEventListener('click', () => copyExport(format));
+      const downloadButton = createEl('button', 'btn-link', 'Download');
+      downloadButton.addEventListener('click', () => downloadExport(format));
+      row.appendChild(copyButton);
+      row.appendChild(downloadButton);
+      exportFormats.appendChild(row);
+    });
+  }
+
+  function renderExport(format) {
+    const results = currentResults || [];
+    if (format.id === 'json') return formatResultsJson(results, resultsDateKey, watchlists);
+    if (format.id === 'markdown') return formatResultsMarkdown(results, resultsDateKey, selectedWatchlist);
+    return formatResultsText(results, resultsDateKey, selectedWatchlist);
+  }
+
+  async function copyExport(format) {
+    try {
+      await navigator.clipboard.writeText(renderExport(format));
+      exportStatus.textContent = `${format.label} copied ✓`;
+    } catch (error) {
+      console.error('Error copying results:', error);
+      exportStatus.textContent = 'Could not copy to the clipboard';
+    }
+  }
+
+  function downloadExport(format) {
+    const url = URL.createObjectURL(new Blob([renderExport(format)], { type: format.type }));
+    const link = createEl('a');
+    link.href = url;
+    link.download = `missa-kala-${resultsDateKey}.${format.extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+    exportStatus.textContent = '';
+  }
+
+  // Preview of the active tab as a new restaurant. The background reads the
+  // tab's rendered text and runs today's detection on it.
+  async function addCurrentPage() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+
+      // Ask now so the saved restaurant can be checked later
+      const origins = getRestaurantOrigins([{ url: tab.url, enabled: true }]);
+      if (origins.length > 0 && (await getMissingOrigins(origins)).length > 0) {
+        await chrome.permissions.request({ origins });
+      }
+
+      previewContainer.innerHTML = '';
+      previewContainer.classList.remove('hidden');
+      previewContainer.appendChild(createEl('div', 'restaurant-details', 'Reading this page...'));
+
+      const preview = await chrome.runtime.sendMessage({ action: 'previewRestaurant', tabId: tab.id });
+      showRestaurantPreview(preview.restaurant ? preview : { restaurant: { name: tab.title || '', url: tab.url || '' }, error: preview.error });
+    } catch (error) {
+      console.error('Error previewing page:', error);
+      showRestaurantPreview({ restaurant: { name: '', url: '' }, error: error.message });
+    }
+  }
+
+  // Set by the "Add this page as a restaurant" context menu
+  async function loadRestaurantPreview() {
+    const data = await chrome.storage.local.get('restaurantPreview');
+    if (data.restaurantPreview) {
+      showRestaurantPreview(data.restaurantPreview);
+    }
+  }
+
+  // preview: { restaurant, result } or { restaurant, error }
+  function showRestaurantPreview(preview) {
+    previewContainer.innerHTML = '';
+    previewContainer.classList.remove('hidden');
+    previewContainer.appendChild(createEl('div', 'preview-title', 'Add this page as a restaurant?'));
+
+    const nameLabel = createEl('label', 'preview-field', 'Name');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = preview.restaurant.name;
+    nameLabel.appendChild(nameInput);
+    previewContainer.appendChild(nameLabel);
+    previewContainer.appendChild(createEl('div', 'preview-url', preview.restaurant.url));
+
+    if (preview.error) {
+      previewContainer.appendChild(createEl('div', 'error-message', preview.error));
+    } else if (preview.result.error) {
+      previewContainer.appendChild(createEl('div', 'error-message', `Today's check would fail: ${preview.result.error}`));
+    } else {
+      previewContainer.appendChild(createEl('div', 'restaurant-details', 'Today\'s check would find:'));
+      previewContainer.appendChild(createRestaurantCard(preview.result, toDateKey(new Date())));
+    }
+
+    const errors = createEl('div', 'form-errors');
+    const actions = createEl('div', 'preview-actions');
+    const saveButton = createEl('button', 'btn-primary', 'Save restaurant');
+    saveButton.disabled = Boolean(preview.error);
+    saveButton.addEventListener('click', () => saveRestaurantPreview(preview.restaurant, nameInput.value, errors));
+    const discardButton = createEl('button', 'btn-link', 'Discard');
+    discardButton.addEventListener('click', closeRestaurantPreview);
+    actions.appendChild(saveButton);
+    actions.appendChild(discardButton);
+    previewContainer.appendChild(errors);
+    previewContainer.appendChild(actions);
+  }
+
+  async function saveRestaurantPreview(restaurant, name, errorsElement) {
+    try {
+      const restaurants = await getRestaurants();
+      const candidate = { id: restaurant.id, name: name.trim(), url: restaurant.url, enabled: true };
+      const errors = validateRestaurant(candidate, restaurants);
+      errorsElement.textContent = errors.join('. ');
+      if (errors.length > 0) return;
+
+      await saveRestaurants([...restaurants, candidate]);
+      await closeRestaurantPreview();
+      lastCheckedElement.textContent = `Added ${candidate.name}. Check the menus to include it.`;
+    } catch (error) {
+      console.error('Error saving restaurant:', error);
+      errorsElement.textContent = error.message || 'Could not save the restaurant.';
+    }
+  }
+
+  async function closeRestaurantPreview() {
+    previewContainer.innerHTML = '';
+    previewContainer.classList.add('hidden');
+    await chrome.storage.local.remove('restaurantPreview');
+  }
+
   function showEmptyState() {
     resultsContainer.innerHTML = `
       <div class="empty-state">
-        <p>👆 Click the button above to check which restaurants have fish on today's menu.</p>
-        <p style="font-size: 12px; margin-top: 20px;">Make sure to configure restaurant URLs in <code>config.js</code></p>
+        <p>👆 Click the button above to check what's on today's menus.</p>
+        <p style="font-size: 12px; margin-top: 20px;">Add or disable restaurants on the <a href="#" id="emptyOptionsLink">options page</a>.</p>
       </div>
     `;
+
+    document.getElementById('emptyOptionsLink').addEventListener('click', event => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
   }
 
   function showError(message) {
@@ -190,27 +934,51 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 
   function updateTimestamp() {
-    const now = new Date();
-    lastCheckedElement.textContent = `Last checked: ${now.toLocaleTimeString()}`;
+    showTimestamp(new Date());
+  }
+
+  function showTimestamp(checkedAt) {
+    const forDay = resultsDateKey === toDateKey(new Date()) ? '' : ` (menus for ${describeDate(resultsDateKey)})`;
+    lastCheckedElement.textContent = `Last checked: ${formatCheckedAt(checkedAt)}${forDay}`;
   }
 
   async function loadCachedResults() {
     try {
-      const data = await chrome.storage.local.get(['lastResults', 'lastChecked']);
+      const data = await chrome.storage.local.get(['lastResults', 'lastChecked', 'lastTargetDate']);
 
-      if (data.lastResults) {
-        displayResults(data.lastResults);
+      // Live progress from a running check takes precedence over the cache
+      if (data.lastResults && !checkRunning) {
+        resultsDateKey = data.lastTargetDate || toDateKey(new Date(data.lastChecked || Date.now()));
+        // Results cached before per-result timestamps share the check time
+        const results = data.lastResults.map(result => ({ checkedAt: data.lastChecked, ...result }));
+        displayResults(results);
+        refreshStaleResults(results);
       }
 
       if (data.lastChecked) {
-        const lastCheck = new Date(data.lastChecked);
-        lastCheckedElement.textContent = `Last checked: ${lastCheck.toLocaleTimeString()}`;
+        showTimestamp(new Date(data.lastChecked));
       }
     } catch (error) {
       console.error('Error loading cached results:', error);
     }
   }
 
+  // Re-check only the restaurants whose cached result is from an earlier day.
+  // Past days move on to today; runs only if no permission prompt is needed.
+  async function refreshStaleResults(results) {
+    if (!results.some(result => !result.checkedAt || isStale(result.checkedAt))) return;
+
+    const todayKey = toDateKey(new Date());
+    const dateKey = resultsDateKey > todayKey ? resultsDateKey : todayKey;
+    const origins = getRestaurantOrigins(await getRestaurants());
+    if ((await getMissingOrigins(origins)).length > 0) return;
+
+    if (!checkRunning) {
+      setCheckRunning(true);
+      port.postMessage({ action: 'checkMenus', date: dateKey, onlyStale: true });
+    }
+  }
+
   function createEl(tag, className, text) {
     const el = document.createElement(tag);
     if (className) el.className = className;
@@ -251,38 +1019,4 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     return link;
   }
-
-  function getRestaurantOrigins() {
-    if (typeof RESTAURANTS === 'undefined') return [];
-
-    const origins = new Set();
-    for (const restaurant of RESTAURANTS) {
-      if (!restaurant || !restaurant.enabled || !restaurant.url) continue;
-      const safeUrl = normalizeUrl(restaurant.url);
-      if (!safeUrl) continue;
-      const origin = new URL(safeUrl).origin;
-      origins.add(`${origin}/*`);
-    }
-
-    return Array.from(origins);
-  }
-
-  async function ensureHostPermissions() {
-    try {
-      const origins = getRestaurantOrigins();
-      if (origins.length === 0) return true;
-
-      const missing = [];
-      for (const origin of origins) {
-        const granted = await chrome.permissions.contains({ origins: [origin] });
-        if (!granted) missing.push(origin);
-      }
-
-      if (missing.length === 0) return true;
-      return await chrome.permissions.request({ origins: missing });
-    } catch (error) {
-      console.error('Error requesting host permissions:', error);
-      return false;
-    }
-  }
 });
@@ -0,0 +1,260 @@
+// Hidden-tab rendering for Missa Kala
+// JavaScript-rendered menus are loaded in the tabs of one minimized window that is
+// reused between restaurants and checks. At most MAX_RENDER_TABS pages render at the
+// same time; other restaurants wait for a free tab. The window is closed after
+// RENDER_POOL_IDLE_MS without renders.
+//
+// The window and tab ids are kept in chrome.storage.local so that a service worker
+// restarted in the middle of a render closes what the previous one left open:
+//   renderPool = { windowId, tabIds: [...] }
+
+const RENDER_POOL_KEY = 'renderPool';
+const MAX_RENDER_TABS = 2;
+const RENDER_POOL_IDLE_MS = 30000;
+const RENDER_TAB_BLANK_URL = 'about:blank';
+
+// How long a page may take to settle: no DOM changes for quietMs (and at least
+// minTextLength characters of text), or the wait-for selector present and quiet
+const RENDER_READY_OPTIONS = {
+  quietMs: 750,
+  maxWaitMs: 15000,
+  minTextLength: 300
+};
+
+const renderPool = {
+  windowId: null,
+  creatingWindow: null,
+  idleTabs: [],
+  busyTabs: new Set(),
+  opening: 0,
+  waiting: [],
+  idleTimer: null
+};
+
+// A fresh worker has no renders in flight, so anything recorded is left over
+const renderPoolReady = cleanupRenderPool();
+
+chrome.windows.onRemoved.addListener(windowId => {
+  if (windowId !== renderPool.windowId) return;
+  renderPool.windowId = null;
+  renderPool.idleTabs = [];
+  saveRenderPoolState();
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  if (!renderPool.idleTabs.includes(tabId)) return;
+  renderPool.idleTabs = renderPool.idleTabs.filter(id => id !== tabId);
+  saveRenderPoolState();
+});
+
+// Resolves with the id of a blank tab reserved for the caller
+async function acquireRenderTab(signal) {
+  await renderPoolReady;
+  clearTimeout(renderPool.idleTimer);
+
+  while (true) {
+    if (signal && signal.aborted) throw signal.reason;
+
+    if (renderPool.idleTabs.length > 0) {
+      const tabId = renderPool.idleTabs.pop();
+      renderPool.busyTabs.add(tabId);
+      return tabId;
+    }
+
+    if (renderPool.busyTabs.size + renderPool.opening < MAX_RENDER_TABS) {
+      renderPool.opening++;
+      try {
+        const tabId = await openRenderTab();
+        renderPool.busyTabs.add(tabId);
+        await saveRenderPoolState();
+        return tabId;
+      } finally {
+        renderPool.opening--;
+      }
+    }
+
+    await waitForFreeRenderTab(signal);
+  }
+}
+
+// Blanks the tab (stopping the page's scripts) and hands it to the next restaurant.
+// The tab counts as busy until it is blank, so no extra tab is opened meanwhile.
+async function releaseRenderTab(tabId) {
+  try {
+    await navigateRenderTab(tabId, RENDER_TAB_BLANK_URL, 5000);
+    renderPool.busyTabs.delete(tabId);
+    renderPool.idleTabs.push(tabId);
+  } catch (error) {
+    // Closed or stuck; a new tab is opened when one is needed
+    await closeRenderTab(tabId);
+  }
+
+  const next = renderPool.waiting.shift();
+  if (next) next();
+  scheduleRenderPoolClose();
+}
+
+async function openRenderTab() {
+  if (renderPool.windowId === null && !renderPool.creatingWindow) {
+    renderPool.creatingWindow = chrome.windows.create({
+      url: RENDER_TAB_BLANK_URL,
+      focused: false,
+      state: 'minimized'
+    });
+
+    try {
+      const window = await renderPool.creatingWindow;
+      renderPool.windowId = window.id;
+      return window.tabs[0].id;
+    } finally {
+      renderPool.creatingWindow = null;
+    }
+  }
+
+  if (renderPool.creatingWindow) await renderPool.creatingWindow;
+  const tab = await chrome.tabs.create({ windowId: renderPool.windowId, url: RENDER_TAB_BLANK_URL, active: false });
+  return tab.id;
+}
+
+// Listens before navigating: about:blank often finishes before update() resolves
+async function navigateRenderTab(tabId, url, timeoutMs, signal) {
+  const loaded = waitForTabComplete(tabId, timeoutMs, signal);
+  try {
+    await chrome.tabs.update(tabId, { url });
+  } catch (error) {
+    loaded.catch(() => {});
+    throw error;
+  }
+  await loaded;
+}
+
+function waitForFreeRenderTab(signal) {
+  return new Promise((resolve, reject) => {
+    function wake() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }
+
+    function onAbort() {
+      renderPool.waiting = renderPool.waiting.filter(waiter => waiter !== wake);
+      reject(signal.reason);
+    }
+
+    renderPool.waiting.push(wake);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function closeRenderTab(tabId) {
+  renderPool.idleTabs = renderPool.idleTabs.filter(id => id !== tabId);
+  renderPool.busyTabs.delete(tabId);
+  try {
+    await chrome.tabs.remove(tabId);
+  } catch (error) {
+    // Already closed
+  }
+  await saveRenderPoolState();
+}
+
+function scheduleRenderPoolClose() {
+  clearTimeout(renderPool.idleTimer);
+  if (renderPool.busyTabs.size > 0 || renderPool.waiting.length > 0) return;
+  renderPool.idleTimer = setTimeout(closeRenderPool, RENDER_POOL_IDLE_MS);
+}
+
+async function closeRenderPool() {
+  if (renderPool.busyTabs.size > 0 || renderPool.opening > 0) return;
+
+  const windowId = renderPool.windowId;
+  renderPool.windowId = null;
+  renderPool.idleTabs = [];
+  await chrome.storage.local.remove(RENDER_POOL_KEY);
+
+  if (windowId !== null) {
+    try {
+      await chrome.windows.remove(windowId);
+    } catch (error) {
+      // Closed by the user
+    }
+  }
+}
+
+async function saveRenderPoolState() {
+  const tabIds = [...renderPool.idleTabs, ...renderPool.busyTabs];
+  if (renderPool.windowId === null && tabIds.length === 0) {
+    await chrome.storage.local.remove(RENDER_POOL_KEY);
+    return;
+  }
+  await chrome.storage.local.set({ [RENDER_POOL_KEY]: { windowId: renderPool.windowId, tabIds } });
+}
+
+// Closes the window and tabs recorded by an earlier service worker
+async function cleanupRenderPool() {
+  try {
+    const data = await chrome.storage.local.get(RENDER_POOL_KEY);
+    const stored = data[RENDER_POOL_KEY];
+    if (!stored) return;
+
+    await chrome.storage.local.remove(RENDER_POOL_KEY);
+    if (stored.windowId !== null && stored.windowId !== undefined) {
+      await chrome.windows.remove(stored.windowId).catch(() => {});
+    }
+    // Tabs dragged out of the window survive closing it
+    for (const tabId of stored.tabIds || []) {
+      await chrome.tabs.remove(tabId).catch(() => {});
+    }
+  } catch (error) {
+    console.warn('Could not clean up render tabs:', error);
+  }
+}
+
+// Injected into the render tab by chrome.scripting.executeScript, so it must stay
+// self-contained. Resolves when the page is ready to read:
+//   { reason: 'selector' | 'settled' | 'timeout', waitedMs, textLength }
+function waitForRenderedMenu(options) {
+  const start = Date.now();
+
+  function textLength() {
+    const body = document.body;
+    return body ? (body.innerText || body.textContent || '').trim().length : 0;
+  }
+
+  function selectorFound() {
+    try {
+      return Boolean(document.querySelector(options.selector));
+    } catch (error) {
+      // An invalid selector can't be waited for
+      return true;
+    }
+  }
+
+  return new Promise(resolve => {
+    let quietTimer = null;
+    let observer = null;
+    let maxTimer = null;
+
+    function finish(reason) {
+      clearTimeout(quietTimer);
+      clearTimeout(maxTimer);
+      if (observer) observer.disconnect();
+      resolve({ reason, waitedMs: Date.now() - start, textLength: textLength() });
+    }
+
+    // Called on every DOM change; the page is ready once changes stop
+    function restartQuietTimer() {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => {
+        if (options.selector) {
+          if (selectorFound()) finish('selector');
+        } else if (textLength() >= options.minTextLength) {
+          finish('settled');
+        }
+      }, options.quietMs);
+    }
+
+    maxTimer = setTimeout(() => finish('timeout'), options.maxWaitMs);
+    observer = new MutationObserver(restartQuietTimer);
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    restartQuietTimer();
+  });
+}
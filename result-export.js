@@ -0,0 +1,144 @@
+// Result export for Missa Kala
+// Renders check results as Markdown (chat), plain text (email) or JSON (scripts).
+// Markdown and text list the dishes of one watchlist; JSON has every matched dish.
+//
+// JSON schema "missa-kala/results", version 1. Fields are only ever added within
+// a version; renaming or removing one bumps RESULTS_EXPORT_VERSION.
+//   {
+//     schema: "missa-kala/results", version: 1,
+//     date: "YYYY-MM-DD",               menu date the results are for
+//     exportedAt: ISO time,
+//     watchlists: [{ id, name, emoji }],
+//     restaurants: [{
+//       id, name, url,
+//       mode: "api" | "fetch" | "hidden-tab" | "open-tab" | null,   how the menu was read
+//       status: "match" | "no-match" | "day-not-found" | "error" | "cancelled",
+//       error: string | null,
+//       checkedAt: ISO time | null,
+//       confidence: { dayDetection: "high" | "low" | "none" | "unknown", method: string },
+//       dishes: [{ text, name, description, diets: [string], price: { amount, text } | null,
+//                  watchlists: [watchlist id] }]
+//     }]
+//   }
+
+const RESULTS_EXPORT_SCHEMA = 'missa-kala/results';
+const RESULTS_EXPORT_VERSION = 1;
+
+function getExportStatus(result) {
+  if (result.cancelled) return 'cancelled';
+  if (result.error) return 'error';
+  if (result.dayNotFound) return 'day-not-found';
+  return (result.dishes || []).some(dish => dish.watchlists.length > 0) ? 'match' : 'no-match';
+}
+
+function formatResultsJson(results, dateKey, watchlists) {
+  return JSON.stringify({
+    schema: RESULTS_EXPORT_SCHEMA,
+    version: RESULTS_EXPORT_VERSION,
+    date: dateKey,
+    exportedAt: new Date().toISOString(),
+    watchlists: watchlists.map(({ id, name, emoji }) => ({ id, name, emoji })),
+    restaurants: results.map(result => ({
+      id: result.id,
+      name: result.name,
+      url: result.url,
+      mode: result.mode || null,
+      status: getExportStatus(result),
+      error: result.error || null,
+      checkedAt: result.checkedAt || null,
+      confidence: {
+        dayDetection: (result.confidence && result.confidence.dayDetection) || 'unknown',
+        method: (result.confidence && result.confidence.method) || 'unknown'
+      },
+      dishes: (result.dishes || [])
+        .filter(dish => dish.watchlists.length > 0)
+        .map(dish => ({
+          text: dish.text,
+          name: dish.name || dish.text,
+          description: dish.description || '',
+          diets: dish.diets || [],
+          price: dish.price || null,
+          watchlists: dish.watchlists
+        }))
+    }))
+  }, null, 2);
+}
+
+function formatResultsMarkdown(results, dateKey, watchlist) {
+  const lines = [`## ${watchlist.emoji} ${watchlist.name} – ${formatExportDate(dateKey)}`, ''];
+
+  results.forEach(result => {
+    const link = `[${escapeMarkdown(result.name)}](${result.url})`;
+    const dishes = getExportDishes(result, watchlist);
+    const status = getExportStatus(result);
+
+    if (status === 'error' || status === 'cancelled') {
+      lines.push(`- ${link}: ❌ ${escapeMarkdown(result.error || 'Check cancelled')}`);
+    } else if (status === 'day-not-found') {
+      lines.push(`- ${link}: no menu found for the day`);
+    } else if (dishes.length === 0) {
+      lines.push(`- ${link}: no ${watchlist.name.toLowerCase()}`);
+    } else {
+      lines.push(`- **${link}**${isLowConfidence(result) ? ' ⚠️ _day not detected, please verify_' : ''}`);
+      dishes.forEach(dish => lines.push(`  - ${escapeMarkdown(describeExportDish(dish))}`));
+    }
+  });
+
+  return lines.join('\n');
+}
+
+function formatResultsText(results, dateKey, watchlist) {
+  const title = `${watchlist.name} – ${formatExportDate(dateKey)}`;
+  const blocks = [`${title}\n${'='.repeat(title.length)}`];
+
+  results.forEach(result => {
+    const dishes = getExportDishes(result, watchlist);
+    const status = getExportStatus(result);
+    let summary;
+
+    if (status === 'error' || status === 'cancelled') {
+      summary = `could not be checked (${result.error || 'check cancelled'})`;
+    } else if (status === 'day-not-found') {
+      summary = 'no menu found for the day';
+    } else if (dishes.length === 0) {
+      summary = `no ${watchlist.name.toLowerCase()}`;
+    } else {
+      summary = `${watchlist.name.toLowerCase()} found${isLowConfidence(result) ? ' (day not detected, please verify)' : ''}`;
+    }
+
+    const lines = [`${result.name}: ${summary}`];
+    dishes.forEach(dish => lines.push(`  - ${describeExportDish(dish)}`));
+    lines.push(`  ${result.url}`);
+    blocks.push(lines.join('\n'));
+  });
+
+  return blocks.join('\n\n');
+}
+
+function getExportDishes(result, watchlist) {
+  if (result.error || result.dayNotFound) return [];
+  return (result.dishes || []).filter(dish => dish.watchlists.includes(watchlist.id));
+}
+
+// "Lohikeitto, ruisleipä 11,50 € (L, G)"
+function describeExportDish(dish) {
+  let text = dish.name || dish.text;
+  if (dish.description) text += `, ${dish.description}`;
+  if (dish.price) text += ` ${dish.price.text}`;
+  if (dish.diets && dish.diets.length > 0) text += ` (${dish.diets.join(', ')})`;
+  return text;
+}
+
+function isLowConfidence(result) {
+  const dayDetection = result.confidence && result.confidence.dayDetection;
+  return dayDetection === 'low' || !dayDetection || dayDetection === 'unknown';
+}
+
+function formatExportDate(dateKey) {
+  const date = parseDateKey(dateKey) || new Date();
+  return date.toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'numeric', year: 'numeric' });
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+}
@@ -0,0 +1,56 @@
+// Schedule and date helpers for Missa Kala
+// Shared by the background worker (alarms, week menus), popup (week grid) and
+// options page (next check preview).
+
+function toDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Local midnight of a 'YYYY-MM-DD' key, or null if it isn't a real date
+function parseDateKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key || ''));
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateKey(date) === key ? date : null;
+}
+
+// Monday to Sunday of the week containing date
+function getWeekDates(date = new Date()) {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+  return Array.from({ length: 7 }, (_, offset) => {
+    const day = new Date(monday);
+    day.setDate(monday.getDate() + offset);
+    return day;
+  });
+}
+
+function isScheduledDay(schedule, date) {
+  if (!schedule.weekdays.includes(date.getDay())) return false;
+  return !schedule.skipDates.includes(toDateKey(date));
+}
+
+function getNextScheduledTime(schedule, from = new Date()) {
+  if (!schedule.enabled) return null;
+
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+
+  // Look far enough ahead to get past a run of skipped dates
+  for (let offset = 0; offset <= 60; offset++) {
+    const candidate = new Date(from);
+    candidate.setDate(from.getDate() + offset);
+    candidate.setHours(hours, minutes, 0, 0);
+
+    if (candidate > from && isScheduledDay(schedule, candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
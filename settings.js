@@ -0,0 +1,327 @@
+// Settings storage for Missa Kala
+// Shared by the background worker, popup and options page.
+// Defaults come from config.js, user changes live in chrome.storage.sync.
+
+async function getRestaurants() {
+  const data = await chrome.storage.sync.get('restaurants');
+
+  if (Array.isArray(data.restaurants)) {
+    return data.restaurants;
+  }
+
+  // First run: seed storage with the defaults from config.js
+  const defaults = DEFAULT_RESTAURANTS.map(restaurant => ({ ...restaurant }));
+  await chrome.storage.sync.set({ restaurants: defaults });
+  return defaults;
+}
+
+async function saveRestaurants(restaurants) {
+  const errors = validateRestaurantList(restaurants);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.sync.set({ restaurants });
+}
+
+async function resetRestaurants() {
+  const defaults = DEFAULT_RESTAURANTS.map(restaurant => ({ ...restaurant }));
+  await chrome.storage.sync.set({ restaurants: defaults });
+  return defaults;
+}
+
+async function getSchedule() {
+  const data = await chrome.storage.sync.get('schedule');
+  return { ...DEFAULT_SCHEDULE, ...(data.schedule || {}) };
+}
+
+async function saveSchedule(schedule) {
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.sync.set({ schedule });
+}
+
+async function getCheckOptions() {
+  const data = await chrome.storage.sync.get('checkOptions');
+  return { ...DEFAULT_CHECK_OPTIONS, ...(data.checkOptions || {}) };
+}
+
+async function saveCheckOptions(checkOptions) {
+  const errors = validateCheckOptions(checkOptions);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.sync.set({ checkOptions });
+}
+
+async function getDietProfile() {
+  const data = await chrome.storage.sync.get('dietProfile');
+  return { ...DEFAULT_DIET_PROFILE, ...(data.dietProfile || {}) };
+}
+
+async function saveDietProfile(dietProfile) {
+  const errors = validateDietProfile(dietProfile);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.sync.set({ dietProfile });
+}
+
+async function getChatWebhook() {
+  const data = await chrome.storage.sync.get('chatWebhook');
+  return { ...DEFAULT_CHAT_WEBHOOK, ...(data.chatWebhook || {}) };
+}
+
+async function saveChatWebhook(chatWebhook) {
+  const errors = validateChatWebhook(chatWebhook);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  await chrome.storage.sync.set({ chatWebhook });
+}
+
+// Built-in fish watchlist first, then the user's own.
+// The fish keywords and rules can be edited; the edits are stored in fishWatchlist.
+async function getWatchlists() {
+  const data = await chrome.storage.sync.get(['watchlists', 'fishWatchlist']);
+  const custom = Array.isArray(data.watchlists) ? data.watchlists : [];
+  const fish = data.fishWatchlist
+    ? { ...FISH_WATCHLIST, ...data.fishWatchlist, id: FISH_WATCHLIST.id, builtIn: true }
+    : FISH_WATCHLIST;
+  return [fish, ...custom];
+}
+
+async function saveFishWatchlist(fishWatchlist) {
+  const errors = validateWatchlist(fishWatchlist);
+  if (errors.length > 0) {
+    throw new Error(`${FISH_WATCHLIST.name}: ${errors[0]}`);
+  }
+
+  const { keywords, wholeWords, exclusions } = fishWatchlist;
+  await chrome.storage.sync.set({ fishWatchlist: { keywords, wholeWords, exclusions } });
+}
+
+async function resetFishWatchlist() {
+  await chrome.storage.sync.remove('fishWatchlist');
+  return FISH_WATCHLIST;
+}
+
+async function saveWatchlists(customWatchlists) {
+  for (const watchlist of customWatchlists) {
+    const errors = validateWatchlist(watchlist, customWatchlists);
+    if (errors.length > 0) {
+      throw new Error(`${watchlist.name || 'Watchlist'}: ${errors[0]}`);
+    }
+  }
+
+  await chrome.storage.sync.set({ watchlists: customWatchlists });
+}
+
+function createId() {
+  return crypto.randomUUID();
+}
+
+function validateRestaurantUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'URL must start with http:// or https://';
+  }
+
+  return null;
+}
+
+function validateRestaurant(restaurant, others = []) {
+  const errors = [];
+
+  if (!restaurant || !String(restaurant.name || '').trim()) {
+    errors.push('Name is required');
+  }
+
+  const urlError = validateRestaurantUrl(restaurant && restaurant.url);
+  if (urlError) {
+    errors.push(urlError);
+  } else {
+    const href = new URL(restaurant.url.trim()).href;
+    const duplicate = others.find(other =>
+      other.id !== restaurant.id && !validateRestaurantUrl(other.url) && new URL(other.url).href === href
+    );
+    if (duplicate) {
+      errors.push(`URL is already used by ${duplicate.name}`);
+    }
+  }
+
+  if (restaurant && restaurant.extraction) {
+    errors.push(...validateExtractionRules(restaurant.extraction));
+  }
+
+  if (restaurant && restaurant.waitForSelector && !isValidSelector(restaurant.waitForSelector)) {
+    errors.push(`Selector "${restaurant.waitForSelector}" is not a valid CSS selector`);
+  }
+
+  if (restaurant && restaurant.fetchMode && !FETCH_MODE_OVERRIDES.includes(restaurant.fetchMode)) {
+    errors.push(`Unknown way to read the page: ${restaurant.fetchMode}`);
+  }
+
+  // findMenuAdapter comes from menu-adapters.js, loaded wherever restaurants are validated
+  if (restaurant && restaurant.fetchMode === 'api' && !findMenuAdapter(restaurant)) {
+    errors.push('No menu API is known for this site');
+  }
+
+  return errors;
+}
+
+const EXTRACTION_SELECTOR_FIELDS = ['container', 'dayHeading', 'dish'];
+
+// restaurant.fetchMode forces how the page is read; without it the learned strategy is used
+const FETCH_MODE_OVERRIDES = ['api', 'fetch', 'hidden-tab'];
+
+function validateExtractionRules(rules) {
+  const errors = [];
+
+  for (const field of EXTRACTION_SELECTOR_FIELDS) {
+    if (rules[field] && !isValidSelector(rules[field])) {
+      errors.push(`Selector "${rules[field]}" is not a valid CSS selector`);
+    }
+  }
+
+  if (rules.dateFormat && !/(D|M)/.test(rules.dateFormat)) {
+    errors.push('Date format must contain D (day) or M (month), e.g. D.M.');
+  }
+
+  return errors;
+}
+
+// Selector syntax can only be checked where a DOM exists (options page)
+function isValidSelector(selector) {
+  if (typeof document === 'undefined') return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateRestaurantList(restaurants) {
+  if (!Array.isArray(restaurants)) {
+    return ['Restaurant list must be an array'];
+  }
+
+  for (const restaurant of restaurants) {
+    const errors = validateRestaurant(restaurant, restaurants);
+    if (errors.length > 0) {
+      return errors.map(error => `${restaurant.name || 'Restaurant'}: ${error}`);
+    }
+  }
+
+  return [];
+}
+
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(schedule.time || ''))) {
+    errors.push('Time must be in HH:MM format');
+  }
+
+  if (!Array.isArray(schedule.weekdays) || schedule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    errors.push('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+  } else if (schedule.enabled && schedule.weekdays.length === 0) {
+    errors.push('Pick at least one weekday');
+  }
+
+  if (!Array.isArray(schedule.skipDates) || schedule.skipDates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    errors.push('Skip dates must be in YYYY-MM-DD format');
+  }
+
+  return errors;
+}
+
+function validateCheckOptions(checkOptions) {
+  const errors = [];
+
+  if (!Number.isInteger(checkOptions.concurrency) || checkOptions.concurrency < 1 || checkOptions.concurrency > 10) {
+    errors.push('Parallel checks must be a whole number from 1 to 10');
+  }
+
+  if (!Number.isInteger(checkOptions.timeoutSeconds) || checkOptions.timeoutSeconds < 5 || checkOptions.timeoutSeconds > 300) {
+    errors.push('Timeout must be a whole number of seconds from 5 to 300');
+  }
+
+  if (!Number.isInteger(checkOptions.retries) || checkOptions.retries < 0 || checkOptions.retries > 5) {
+    errors.push('Retries must be a whole number from 0 to 5');
+  }
+
+  return errors;
+}
+
+function validateDietProfile(dietProfile) {
+  const errors = [];
+
+  if (!Array.isArray(dietProfile.requiredDiets) ||
+    dietProfile.requiredDiets.some(tag => !DIET_TAGS.includes(tag))) {
+    errors.push('Unknown diet marker in profile');
+  }
+
+  if (dietProfile.mode !== 'hide' && dietProfile.mode !== 'demote') {
+    errors.push('Choose whether to hide or demote dishes that don\'t fit');
+  }
+
+  return errors;
+}
+
+const CHAT_WEBHOOK_FORMATS = ['slack', 'json'];
+
+function validateChatWebhook(chatWebhook) {
+  const errors = [];
+
+  if (chatWebhook.enabled || chatWebhook.url) {
+    const urlError = validateRestaurantUrl(chatWebhook.url);
+    if (urlError) errors.push(`Webhook ${urlError}`);
+  }
+
+  if (!CHAT_WEBHOOK_FORMATS.includes(chatWebhook.format)) {
+    errors.push('Choose a message format');
+  }
+
+  return errors;
+}
+
+function validateWatchlist(watchlist, others = []) {
+  const errors = [];
+  const name = String(watchlist.name || '').trim();
+
+  if (!name) {
+    errors.push('Name is required');
+  } else if (others.some(other => other.id !== watchlist.id && other.name.trim().toLowerCase() === name.toLowerCase()) ||
+    (watchlist.id !== FISH_WATCHLIST.id && name.toLowerCase() === FISH_WATCHLIST.name.toLowerCase())) {
+    errors.push(`A watchlist called ${name} already exists`);
+  }
+
+  const keywords = watchlist.keywords || {};
+  const keywordCount = Object.values(keywords).reduce((count, list) => count + (Array.isArray(list) ? list.length : 0), 0);
+  if (keywordCount === 0) {
+    errors.push('Add at least one keyword');
+  }
+
+  const allKeywords = Object.values(keywords).flat().map(keyword => keyword.toLowerCase());
+  const unknownWholeWords = (watchlist.wholeWords || []).filter(word => !allKeywords.includes(word.toLowerCase()));
+  if (unknownWholeWords.length > 0) {
+    errors.push(`Whole-word entries must also be keywords: ${unknownWholeWords.join(', ')}`);
+  }
+
+  return errors;
+}
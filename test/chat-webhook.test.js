@@ -0,0 +1,144 @@
+// Posting the daily fish summary to a local HTTP stand-in for a chat webhook.
+// Run with: node --test test/
+//
+// Loads the plain scripts postChatSummary needs into one shared scope, with
+// chrome.storage kept in memory, and checks the body the stand-in receives.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function createStorageArea() {
+  const items = {};
+  return {
+    async get(keys) {
+      const result = {};
+      for (const key of [].concat(keys)) {
+        if (key in items) result[key] = items[key];
+      }
+      return result;
+    },
+    async set(values) {
+      Object.assign(items, values);
+    }
+  };
+}
+
+function loadChatWebhook(chatWebhook) {
+  const chrome = { storage: { sync: createStorageArea(), local: createStorageArea() } };
+  const context = vm.createContext({ chrome, fetch, AbortSignal, URL, console });
+  for (const file of ['config.js', 'schedule.js', 'settings.js', 'chat-webhook.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  chrome.storage.sync.set({ chatWebhook });
+  return vm.runInContext('({ postChatSummary, getChatWebhookStatus })', context);
+}
+
+// Objects from the script scope have their own prototypes; compare copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Records every request; answers with the given status
+function startStandIn(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, contentType: req.headers['content-type'], body });
+      res.statusCode = status;
+      res.end(status === 200 ? 'ok' : 'failed');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() });
+    });
+  });
+}
+
+const DATE_KEY = '2026-10-19';
+const RESULTS = [
+  {
+    id: 'factory',
+    name: 'Factory <Salmisaari>',
+    url: 'https://factory.example/',
+    error: null,
+    dishes: [
+      { text: 'Paistettua lohta 12,70 €', name: 'Paistettua lohta', price: { text: '12,70 €' }, watchlists: ['fish'] },
+      { text: 'Kasvispihvit', name: 'Kasvispihvit', watchlists: [] }
+    ]
+  },
+  { id: 'poijut', name: 'Poijut', url: 'https://poijut.example/', error: 'HTTP 503', dishes: [] }
+];
+
+test('slack format posts mrkdwn text with links', async () => {
+  const standIn = await startStandIn();
+  try {
+    const { postChatSummary } = loadChatWebhook({ enabled: true, url: standIn.url, format: 'slack', postOnSchedule: true });
+    assert.deepStrictEqual(plain(await postChatSummary(RESULTS, DATE_KEY)), { posted: true });
+
+    assert.strictEqual(standIn.requests.length, 1);
+    const request = standIn.requests[0];
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.contentType, 'application/json');
+
+    const body = JSON.parse(request.body);
+    assert.deepStrictEqual(Object.keys(body), ['text']);
+    assert.match(body.text, /Fish on Monday 19\/10 at 1 restaurant/);
+    assert.match(body.text, /<https:\/\/factory\.example\/\|Factory &lt;Salmisaari&gt;>: Paistettua lohta \(12,70 €\)/);
+    assert.match(body.text, /Could not check: Poijut/);
+  } finally {
+    standIn.close();
+  }
+});
+
+test('json format posts the date, text and restaurants', async () => {
+  const standIn = await startStandIn();
+  try {
+    const { postChatSummary } = loadChatWebhook({ enabled: true, url: standIn.url, format: 'json', postOnSchedule: true });
+    await postChatSummary(RESULTS, DATE_KEY);
+
+    const body = JSON.parse(standIn.requests[0].body);
+    assert.strictEqual(body.date, DATE_KEY);
+    assert.match(body.text, /• Factory <Salmisaari>: Paistettua lohta \(12,70 €\) - https:\/\/factory\.example\//);
+    assert.deepStrictEqual(body.restaurants, [
+      { name: 'Factory <Salmisaari>', url: 'https://factory.example/', dishes: ['Paistettua lohta (12,70 €)'] }
+    ]);
+    assert.deepStrictEqual(body.failed, ['Poijut']);
+  } finally {
+    standIn.close();
+  }
+});
+
+test('a day is posted once unless forced', async () => {
+  const standIn = await startStandIn();
+  try {
+    const { postChatSummary } = loadChatWebhook({ enabled: true, url: standIn.url, format: 'json', postOnSchedule: true });
+    await postChatSummary(RESULTS, DATE_KEY);
+    assert.deepStrictEqual(plain(await postChatSummary(RESULTS, DATE_KEY)), { alreadyPosted: true });
+    assert.deepStrictEqual(plain(await postChatSummary(RESULTS, DATE_KEY, { force: true })), { posted: true });
+    assert.strictEqual(standIn.requests.length, 2);
+  } finally {
+    standIn.close();
+  }
+});
+
+test('a failed post is reported and recorded', async () => {
+  const standIn = await startStandIn(500);
+  try {
+    const { postChatSummary, getChatWebhookStatus } = loadChatWebhook({ enabled: true, url: standIn.url, format: 'slack', postOnSchedule: true });
+    await assert.rejects(postChatSummary(RESULTS, DATE_KEY), /Could not post to chat: HTTP 500: failed/);
+
+    const status = await getChatWebhookStatus();
+    assert.strictEqual(status.lastError, 'HTTP 500: failed');
+    assert.deepStrictEqual(plain(status.postedDates), []);
+  } finally {
+    standIn.close();
+  }
+});
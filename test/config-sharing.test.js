@@ -0,0 +1,77 @@
+// Saving an imported configuration to chrome.storage.sync.
+// Run with: node --test test/
+//
+// Loads the scripts the options page uses for importing into one scope, with a
+// storage.sync stand-in that has Chrome's quotas and records every write.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadConfigSharing(failWrites = false) {
+  const items = { restaurants: [], schedule: { enabled: false } };
+  const writes = [];
+  const bytesOf = keys => (keys === null ? Object.keys(items) : [].concat(keys))
+    .filter(key => key in items)
+    .reduce((sum, key) => sum + Buffer.byteLength(key + JSON.stringify(items[key])), 0);
+
+  const sync = {
+    QUOTA_BYTES: 102400,
+    QUOTA_BYTES_PER_ITEM: 8192,
+    async getBytesInUse(keys) {
+      return bytesOf(keys);
+    },
+    async set(values) {
+      writes.push(Object.keys(values));
+      if (failWrites) throw new Error('QUOTA_BYTES quota exceeded');
+      Object.assign(items, values);
+    }
+  };
+
+  const context = vm.createContext({ chrome: { storage: { sync } }, URL, TextEncoder });
+  for (const file of ['config.js', 'settings.js', 'menu-adapters.js', 'config-sharing.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  const { saveConfigImport, FISH_WATCHLIST } = vm.runInContext('({ saveConfigImport, FISH_WATCHLIST })', context);
+  return { saveConfigImport, FISH_WATCHLIST, items, writes };
+}
+
+const PLAN = {
+  restaurants: [{ id: 'factory', name: 'Factory', url: 'https://factory.example/', enabled: true }],
+  watchlists: [{
+    id: 'veg',
+    name: 'Vegetarian',
+    emoji: '🥦',
+    keywords: { en: ['tofu'], fi: ['tofu'] },
+    wholeWords: [],
+    exclusions: { phrases: [], negatives: [] }
+  }]
+};
+
+test('the restaurants and watchlists are saved in one write', async () => {
+  const { saveConfigImport, FISH_WATCHLIST, items, writes } = loadConfigSharing();
+  await saveConfigImport(PLAN, FISH_WATCHLIST);
+
+  assert.deepStrictEqual(writes, [['restaurants', 'watchlists', 'fishWatchlist']]);
+  assert.strictEqual(items.restaurants[0].name, 'Factory');
+  assert.strictEqual(items.watchlists[0].name, 'Vegetarian');
+  assert.deepStrictEqual(Object.keys(items.fishWatchlist), ['keywords', 'wholeWords', 'exclusions']);
+});
+
+test('an item over the per-item quota is refused before anything is written', async () => {
+  const { saveConfigImport, items, writes } = loadConfigSharing();
+  const words = Array.from({ length: 1200 }, (_, index) => `sana${index}`);
+  const plan = { ...PLAN, watchlists: [{ ...PLAN.watchlists[0], keywords: { fi: words } }] };
+
+  await assert.rejects(saveConfigImport(plan, null),
+    /^Error: The custom watchlists would take \d+\.\d KB; Chrome syncs at most 8\.0 KB per item\. Nothing was imported\.$/);
+  assert.deepStrictEqual(writes, []);
+  assert.deepStrictEqual(items.restaurants, []);
+});
+
+test('a failed write is reported as a quota error', async () => {
+  const { saveConfigImport } = loadConfigSharing(true);
+  await assert.rejects(saveConfigImport(PLAN, null), /too large to sync \(QUOTA_BYTES quota exceeded\)\. Nothing was imported\./);
+});
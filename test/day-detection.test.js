@@ -0,0 +1,129 @@
+// Finding the section for a chosen day on menu pages, and the days of a week.
+// Run with: node --test test/
+//
+// Loads background.js with the scripts it imports into one scope, as the service
+// worker does. chrome events only collect listeners and storage starts empty.
+// The dates are in the past, so no target is ever "today".
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadBackground() {
+  const event = { addListener() {} };
+  const events = new Proxy({}, { get: () => event });
+  const storageArea = { async get() { return {}; }, async set() {}, async remove() {} };
+  const chrome = {
+    runtime: events,
+    alarms: events,
+    notifications: events,
+    contextMenus: events,
+    windows: events,
+    tabs: events,
+    storage: { local: storageArea, sync: storageArea, onChanged: event }
+  };
+
+  const context = vm.createContext({ chrome, console, URL, setTimeout, clearTimeout });
+  const run = file => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  context.importScripts = (...files) => files.forEach(run);
+  run('background.js');
+  return context;
+}
+
+const context = loadBackground();
+const { findMatchesInText, findWeekMatches, FISH_WATCHLIST } = vm.runInContext(
+  '({ findMatchesInText, findWeekMatches, FISH_WATCHLIST })', context);
+
+// Objects from the script scope have their own prototypes; compare copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function fishIn(result) {
+  return result.dishes.filter(dish => dish.watchlists.includes('fish')).map(dish => dish.text);
+}
+
+// Week 42 of 2025: Monday 13.10. to Friday 17.10.
+const WEEK_42 = [
+  'Lounas viikko 42',
+  'Maanantai 13.10.',
+  'Broileria ja riisiä 12,70 €',
+  'Tiistai 14.10.',
+  'Kasvislasagnea ja salaattia',
+  'Keskiviikko 15.10.',
+  'Lihapullat ja muusi',
+  'Torstai 16.10.',
+  'Hernekeittoa ja pannukakkua',
+  'Perjantai 17.10.',
+  'Paistettua lohta, tilliperunat (L, G) 12,70 €',
+  'Avoinna ma–pe 10.30–14.00'
+].join('\n');
+
+test('a day heading with the chosen date is found', () => {
+  const result = findMatchesInText(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 17));
+  assert.strictEqual(result.confidence.dayDetection, 'high');
+  assert.strictEqual(result.confidence.method, 'day-header');
+  assert.deepStrictEqual(plain(fishIn(result)), ['Paistettua lohta, tilliperunat (L, G) 12,70 €']);
+});
+
+test('the chosen day in the next week is not found on this week\'s page', () => {
+  const result = findMatchesInText(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 24));
+  assert.strictEqual(result.dayNotFound, true);
+  assert.strictEqual(result.confidence.dayDetection, 'none');
+  assert.strictEqual(result.dishes.length, 0);
+});
+
+test('the chosen day in the previous week is not found on this week\'s page', () => {
+  const result = findMatchesInText(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 10));
+  assert.strictEqual(result.dayNotFound, true);
+  assert.strictEqual(result.dishes.length, 0);
+});
+
+test('a day heading without a date matches by day name', () => {
+  const page = WEEK_42.replace(/ \d{1,2}\.10\./g, '');
+  const result = findMatchesInText(page, [FISH_WATCHLIST], new Date(2025, 9, 24));
+  assert.strictEqual(result.confidence.method, 'day-header');
+  assert.deepStrictEqual(plain(fishIn(result)), ['Paistettua lohta, tilliperunat (L, G) 12,70 €']);
+});
+
+test('on a page with two weeks the heading with the chosen date wins', () => {
+  const page = `${WEEK_42}\nPerjantai 24.10.\nSavusiikaa ja perunasalaattia\nAvoinna ma–pe 10.30–14.00`;
+  const result = findMatchesInText(page, [FISH_WATCHLIST], new Date(2025, 9, 24));
+  assert.strictEqual(result.confidence.dayDetection, 'high');
+  assert.deepStrictEqual(plain(fishIn(result)), ['Savusiikaa ja perunasalaattia']);
+});
+
+test('an inline day name with another date is not the chosen day', () => {
+  const page = 'Lounas: Perjantai 17.10. Paistettua lohta 12,70 €, Maanantai 13.10. Broileria';
+  const result = findMatchesInText(page, [FISH_WATCHLIST], new Date(2025, 9, 24));
+  assert.strictEqual(result.dayNotFound, true);
+});
+
+function fishByDate(week) {
+  return Object.fromEntries(week.map(day => [day.date, fishIn(day)]));
+}
+
+test('the days of the week are stored under the dates their headings give', () => {
+  const week = findWeekMatches(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 15));
+  assert.deepStrictEqual(plain(week.map(day => day.date)), ['2025-10-13', '2025-10-14', '2025-10-15', '2025-10-16', '2025-10-17']);
+  assert.deepStrictEqual(plain(fishByDate(week)['2025-10-17']), ['Paistettua lohta, tilliperunat (L, G) 12,70 €']);
+});
+
+test('another week\'s menu is not stored under the chosen week', () => {
+  assert.deepStrictEqual(plain(findWeekMatches(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 24))), []);
+  assert.deepStrictEqual(plain(findWeekMatches(WEEK_42, [FISH_WATCHLIST], new Date(2025, 9, 10))), []);
+});
+
+test('on a page with two weeks only the chosen week\'s days are kept', () => {
+  const page = `${WEEK_42}\nPerjantai 24.10.\nSavusiikaa ja perunasalaattia`;
+  const week = findWeekMatches(page, [FISH_WATCHLIST], new Date(2025, 9, 22));
+  assert.deepStrictEqual(plain(fishByDate(week)), { '2025-10-24': ['Savusiikaa ja perunasalaattia'] });
+});
+
+test('day headings without dates are placed on the chosen week', () => {
+  const page = WEEK_42.replace(/ \d{1,2}\.10\./g, '');
+  const week = findWeekMatches(page, [FISH_WATCHLIST], new Date(2025, 9, 22));
+  assert.deepStrictEqual(plain(week.map(day => day.date)), ['2025-10-20', '2025-10-21', '2025-10-22', '2025-10-23', '2025-10-24']);
+});
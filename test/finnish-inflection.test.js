@@ -0,0 +1,129 @@
+// Finnish fish keyword matching against real menu lines.
+// Run with: node --test test/
+//
+// Loads background.js with the scripts it imports into one scope, as the service
+// worker does, and matches lines with its matchWatchlists and the built-in fish
+// watchlist (inflection-aware for the words in finnish-inflection.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadBackground() {
+  const event = { addListener() {} };
+  const events = new Proxy({}, { get: () => event });
+  const storageArea = { async get() { return {}; }, async set() {}, async remove() {} };
+  const chrome = {
+    runtime: events,
+    alarms: events,
+    notifications: events,
+    contextMenus: events,
+    windows: events,
+    tabs: events,
+    storage: { local: storageArea, sync: storageArea, onChanged: event }
+  };
+
+  const context = vm.createContext({ chrome, console, URL, setTimeout, clearTimeout });
+  const run = file => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  context.importScripts = (...files) => files.forEach(run);
+  run('background.js');
+  return context;
+}
+
+const context = loadBackground();
+const { FISH_WATCHLIST, matchWatchlists, lineHasFinnishWord } = vm.runInContext(
+  '({ FISH_WATCHLIST, matchWatchlists, lineHasFinnishWord })', context);
+
+// The fish keyword the line matched, or null
+function matchInflected(line) {
+  const [dish] = matchWatchlists(line, [FISH_WATCHLIST]);
+  return dish && dish.watchlists.includes(FISH_WATCHLIST.id) ? dish.matchedBy[FISH_WATCHLIST.id] : null;
+}
+
+// The matching before inflections were supported
+function matchSubstring(line) {
+  const lower = line.toLowerCase();
+  return FISH_WATCHLIST.keywords.fi.find(keyword => lower.includes(keyword)) || null;
+}
+
+const FISH_LINES = [
+  'Paistettua lohta, tilliperunat (L, G)',
+  'Lohikeitto ja ruisleipä',
+  'Savulohikiusaus',
+  'Graavilohen kera perunasalaattia',
+  'Paistettuja muikkuja ja perunamuusia',
+  'Kuhaa voikastikkeella',
+  'Uunisiian filee, keitetyt perunat',
+  'Turskaa ja sitruunakastiketta',
+  'Paistettuja silakoita, perunamuusi',
+  'Silakkapihvit ja puolukkasurvos',
+  'Hauen pyörykät, tillikastike',
+  'Ahvenfileet voissa paistettuna',
+  'Kalapuikot ja perunamuusi',
+  'Kalakeittoa ja ruisleipää',
+  'Päivän kala, keitetyt perunat',
+  'Sillisalaatti',
+  'Sillejä ja uusia perunoita',
+  'Taimenta ja tilliperunoita',
+  'Paahdettua nieriää',
+  'Paistettua kampelaa',
+  'Tonnikalasalaatti',
+  'Savukalatahna ja näkkileipä',
+  'Lohenmätiä, smetanaa ja blinejä',
+  'Lohipasta ja vihersalaatti',
+  'Muikkupannu ja ruisleipä',
+  'Kuhafileetä ja valkoviinikastiketta',
+  'Paistettuja kuhia ja perunamuusia'
+];
+
+const NON_FISH_LINES = [
+  'Broileria ja riisiä',
+  'Perunalohkot ja kermaviilikastike',
+  'Lohkoperunat, kasvispihvi',
+  'Kalastajan tapaan haudutettua possua',
+  'Kalenterin mukaan tänään on pizzaa',
+  'Kalkkunaa ja kermaperunoita',
+  'Hauskaa viikonloppua, sillä keittiö on kiinni maanantaina',
+  'Kasvislasagnea ja salaattia',
+  'Lihapullat ja muusi',
+  'Kinkkukiusaus',
+  'Pizza Lohja ja salaattipöytä',
+  'Lohikäärme-keitto lasten menussa'
+];
+
+test('every fish dish line matches a Finnish fish keyword', () => {
+  for (const line of FISH_LINES) {
+    assert.ok(matchInflected(line), `no keyword matched "${line}"`);
+  }
+});
+
+test('inflections find dishes the substring search missed', () => {
+  const missedBefore = FISH_LINES.filter(line => !matchSubstring(line));
+  assert.ok(missedBefore.length >= 5, `only ${missedBefore.length} lines were missed before`);
+  for (const line of missedBefore) {
+    assert.ok(matchInflected(line), `still missing "${line}"`);
+  }
+});
+
+test('lines without fish match no fish keyword', () => {
+  for (const line of NON_FISH_LINES) {
+    assert.strictEqual(matchInflected(line), null, `"${line}" matched`);
+  }
+});
+
+test('common words that share a short stem are not fish', () => {
+  assert.strictEqual(lineHasFinnishWord('sillä välin', 'silli'), false);
+  assert.strictEqual(lineHasFinnishWord('sillälailla', 'silli'), false);
+  assert.strictEqual(lineHasFinnishWord('kalastaja', 'kala'), false);
+  assert.strictEqual(lineHasFinnishWord('kalastusretki', 'kala'), false);
+  assert.strictEqual(lineHasFinnishWord('silliä', 'silli'), true);
+  assert.strictEqual(lineHasFinnishWord('kalaa', 'kala'), true);
+  assert.strictEqual(lineHasFinnishWord('kalakukko', 'kala'), true);
+  assert.strictEqual(lineHasFinnishWord('lohja', 'lohi'), false);
+  assert.strictEqual(lineHasFinnishWord('lohikäärme', 'lohi'), false);
+  assert.strictEqual(lineHasFinnishWord('lohta', 'lohi'), true);
+  assert.strictEqual(lineHasFinnishWord('lohia', 'lohi'), true);
+  assert.strictEqual(lineHasFinnishWord('kuhia', 'kuha'), true);
+});
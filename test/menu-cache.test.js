@@ -0,0 +1,58 @@
+// When a cached menu result may be reused.
+// Run with: node --test test/
+//
+// Loads schedule.js and menu-cache.js into one scope with chrome.storage.local
+// kept in memory, stores a result and looks it up again.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadMenuCache() {
+  const items = {};
+  const local = {
+    async get(key) {
+      return key in items ? { [key]: items[key] } : {};
+    },
+    async set(values) {
+      Object.assign(items, values);
+    }
+  };
+
+  const context = vm.createContext({ chrome: { storage: { local } } });
+  for (const file of ['schedule.js', 'menu-cache.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  return vm.runInContext('({ loadMenuCache, getMenuCacheEntry, saveMenuCacheResults, toDateKey })', context);
+}
+
+const RESTAURANT = {
+  id: 'factory',
+  name: 'Factory',
+  url: 'https://factory.example/',
+  extraction: { container: '.menu', dayHeading: 'h3', dish: 'li' }
+};
+
+async function storeAndLookUp(edited) {
+  const menuCache = loadMenuCache();
+  const dateKey = menuCache.toDateKey(new Date());
+  const result = { id: RESTAURANT.id, error: null, checkedAt: new Date().toISOString(), dishes: [] };
+
+  await menuCache.saveMenuCacheResults(dateKey, [RESTAURANT], [result], { factory: { etag: '"v1"' } }, 'watchlists');
+  const cache = await menuCache.loadMenuCache();
+  return menuCache.getMenuCacheEntry(cache, dateKey, { ...RESTAURANT, ...edited }, 'watchlists');
+}
+
+test('an unchanged restaurant reuses its cached result', async () => {
+  const entry = await storeAndLookUp({});
+  assert.ok(entry);
+  assert.strictEqual(entry.etag, '"v1"');
+});
+
+test('editing how a restaurant is read misses the cache', async () => {
+  assert.strictEqual(await storeAndLookUp({ extraction: { ...RESTAURANT.extraction, dish: 'p' } }), null);
+  assert.strictEqual(await storeAndLookUp({ waitForSelector: '.menu li' }), null);
+  assert.strictEqual(await storeAndLookUp({ fetchMode: 'hidden-tab' }), null);
+});